@@ -0,0 +1,80 @@
+// Helpers shared by the site adapters
+
+const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/150';
+const PRICE_TEXT = /(?:Rp\.?|IDR)\s*[\d.,]+(?:\s*(?:milyar|miliar|juta|jt|m|b)\b)?(?:\s*\/\s*(?:bulan|tahun|thn|bln|month|year|m²|m2|meter))?(?:\s*\(?(?:bisa\s+)?nego(?:tiable)?\)?)?/i;
+
+const cleanText = value => (value == null ? '' : String(value).replace(/\s+/g, ' ').trim());
+
+// Text of the first element matching any of the selectors (tried in order)
+function firstText($, selectors, scope) {
+    for (const selector of [].concat(selectors)) {
+        const el = scope ? $(scope).find(selector).first() : $(selector).first();
+        const text = cleanText(el.text());
+        if (text) return text;
+    }
+    return '';
+}
+
+// Attribute of the first element matching any of the selectors that has it
+function firstAttr($, selectors, attr, scope) {
+    for (const selector of [].concat(selectors)) {
+        const el = scope ? $(scope).find(selector).first() : $(selector).first();
+        const value = cleanText(el.attr(attr));
+        if (value) return value;
+    }
+    return '';
+}
+
+const metaContent = ($, name) => firstAttr($, [`meta[property="${name}"]`, `meta[name="${name}"]`], 'content');
+
+// Image of an element: <img> src (lazy-loading attributes first) or a CSS background image
+function imageOf($, el) {
+    const img = $(el).is('img') ? $(el) : $(el).find('img').first();
+    const src = img.attr('data-src') || img.attr('data-lazy-src') || img.attr('src');
+    if (src && !src.startsWith('data:')) return src;
+
+    const style = $(el).is('[style*="background-image"]')
+        ? $(el).attr('style')
+        : $(el).find('[style*="background-image"]').attr('style');
+    const match = style && style.match(/url\(['"]?(.*?)['"]?\)/);
+    return match ? match[1] : '';
+}
+
+function absoluteUrl(href, base) {
+    if (!href) return '';
+    try {
+        return new URL(href, base).href;
+    } catch (e) {
+        return '';
+    }
+}
+
+// First "Rp ..." amount in a text, with its period and "nego" ("Harga: Rp. 1,4 Milyar (nego), SHM" -> "Rp. 1,4 Milyar (nego)")
+function findPriceText(text) {
+    const match = cleanText(text).match(PRICE_TEXT);
+    return match ? match[0].trim() : '';
+}
+
+// Last path segment, the id the scraper has always stored for listing pages
+function lastSegment(url) {
+    try {
+        return new URL(url).pathname.split('/').filter(Boolean).pop() || null;
+    } catch (e) {
+        return String(url).split('/').filter(Boolean).pop() || null;
+    }
+}
+
+const typeFromText = (text, url = '') => (/\b(sewa|disewakan|rent)\b/i.test(text) || url.includes('/rent/') ? 'Rent' : 'Sale');
+
+module.exports = {
+    PLACEHOLDER_IMAGE,
+    cleanText,
+    firstText,
+    firstAttr,
+    metaContent,
+    imageOf,
+    absoluteUrl,
+    findPriceText,
+    lastSegment,
+    typeFromText
+};
@@ -0,0 +1,133 @@
+const cheerio = require('cheerio');
+const { MAX_URL_PATTERNS, compileUrlPatterns, extractListingId } = require('../listings/page-url');
+const { cleanText, imageOf, absoluteUrl, findPriceText, typeFromText } = require('./common');
+
+// Config-driven adapter: template, urlPatterns, listPagePath and selectors from the tenant record
+// (POST /admin/scraper-adapter/:tenantId) on top of a base adapter that fills in the rest
+
+const CARD_SELECTORS = ['card', 'cardLink', 'cardTitle', 'cardLocation', 'cardPrice', 'cardImage'];
+const DETAIL_SELECTORS = ['title', 'price', 'location', 'image', 'description'];
+const SELECTOR_FIELDS = [...CARD_SELECTORS, ...DETAIL_SELECTORS];
+const MAX_SELECTOR_LENGTH = 300;
+
+const probe = cheerio.load('');
+
+/**
+ * Validated copy of an adapter config. Throws on anything unusable, with a message fit for the
+ * admin API. `templates` are the adapter names `template` may take.
+ */
+function validateAdapterConfig(config, templates) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('Adapter config must be an object');
+    }
+    const { template = 'auto', urlPatterns = [], listPagePath = null, selectors = {} } = config;
+
+    if (template !== 'auto' && !templates.includes(template)) {
+        throw new Error(`Unknown template "${template}" (use auto, ${templates.join(', ')})`);
+    }
+    if (!Array.isArray(urlPatterns) || urlPatterns.length > MAX_URL_PATTERNS) {
+        throw new Error(`urlPatterns must be an array of at most ${MAX_URL_PATTERNS} URL patterns`);
+    }
+    compileUrlPatterns(urlPatterns);
+    if (listPagePath != null && (typeof listPagePath !== 'string' || !listPagePath.startsWith('/') || !listPagePath.includes('{page}'))) {
+        throw new Error('listPagePath must start with "/" and contain {page}');
+    }
+    if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+        throw new Error('selectors must be an object');
+    }
+
+    const cleanSelectors = {};
+    for (const [field, selector] of Object.entries(selectors)) {
+        if (!SELECTOR_FIELDS.includes(field)) {
+            throw new Error(`Unknown selector "${field}" (use ${SELECTOR_FIELDS.join(', ')})`);
+        }
+        if (selector == null || selector === '') continue;
+        if (typeof selector !== 'string' || selector.length > MAX_SELECTOR_LENGTH) {
+            throw new Error(`Selector "${field}" must be a CSS selector of at most ${MAX_SELECTOR_LENGTH} characters`);
+        }
+        try {
+            probe(selector);
+        } catch (e) {
+            throw new Error(`Selector "${field}" is not valid CSS: ${selector}`);
+        }
+        cleanSelectors[field] = selector;
+    }
+    if (CARD_SELECTORS.some(field => cleanSelectors[field]) && !cleanSelectors.card) {
+        throw new Error('Card selectors need a "card" selector for the card container');
+    }
+
+    return { template, urlPatterns, listPagePath, selectors: cleanSelectors };
+}
+
+// Value of a configured selector: meta content, image source or text
+function selectorValue($, selector, field, scope) {
+    const el = scope ? $(scope).find(selector).first() : $(selector).first();
+    if (!el.length) return '';
+    if (el.is('meta')) return cleanText(el.attr('content'));
+    if (field === 'image' || field === 'cardImage') return imageOf($, el);
+    return cleanText(el.text());
+}
+
+/**
+ * Adapter for a validated config on top of `base` (a template adapter). Detail fields the
+ * selectors find override the base adapter's.
+ */
+function createConfigAdapter(config, base) {
+    const { urlPatterns, listPagePath, selectors } = config;
+    const compiled = urlPatterns.length > 0 ? compileUrlPatterns(urlPatterns) : null;
+
+    function extractCards($, pageUrl) {
+        const cards = [];
+        $(selectors.card).each((i, element) => {
+            const href = selectors.cardLink
+                ? $(element).find(selectors.cardLink).first().attr('href')
+                : ($(element).is('a') ? $(element).attr('href') : $(element).find('a[href]').first().attr('href'));
+            const url = absoluteUrl(href, pageUrl);
+            if (!url || cards.some(card => card.url === url)) return;
+
+            const value = field => (selectors[field] ? selectorValue($, selectors[field], field, element) : '');
+            const title = value('cardTitle');
+            cards.push({
+                id: compiled ? extractListingId(url, compiled) : base.listingId(url),
+                url,
+                title,
+                location: value('cardLocation'),
+                price: findPriceText(value('cardPrice')) || value('cardPrice'),
+                imageUrl: absoluteUrl(value('cardImage'), pageUrl),
+                type: typeFromText(title, url)
+            });
+        });
+        return cards;
+    }
+
+    // Only the fields the selectors found; the rest come from the base adapter
+    function extractDetail($, url) {
+        const [title, price, location, image, description] = DETAIL_SELECTORS
+            .map(field => (selectors[field] ? selectorValue($, selectors[field], field) : ''));
+        const fields = {
+            title,
+            price: findPriceText(price) || price,
+            location,
+            imageUrl: absoluteUrl(image, url),
+            description,
+            type: title ? typeFromText(title, url) : ''
+        };
+        return Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+    }
+
+    return {
+        name: 'config',
+        label: `Configured selectors on ${base.label}`,
+        base,
+        fingerprint: () => 0,
+        isListingUrl: compiled ? url => extractListingId(url, compiled) != null : base.isListingUrl,
+        listingId: compiled ? url => extractListingId(url, compiled) : base.listingId,
+        listPageUrl: listPagePath
+            ? (baseUrl, page) => absoluteUrl(listPagePath.replace('{page}', page), `${baseUrl}/`)
+            : base.listPageUrl,
+        extractCards: selectors.card ? extractCards : base.extractCards,
+        extractDetail
+    };
+}
+
+module.exports = { SELECTOR_FIELDS, validateAdapterConfig, createConfigAdapter };
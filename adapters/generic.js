@@ -0,0 +1,60 @@
+const { cleanText, firstText, firstAttr, metaContent, imageOf, absoluteUrl, findPriceText, lastSegment, typeFromText } = require('./common');
+
+// Generic adapter for unknown templates: meta tags, <h1>, <address> and price / location classes
+// only, leaving a field empty rather than guessing; the fallback of every other adapter
+
+const LISTING_PATH = /\/(properti|buy|rent)\//;
+const CARD_CONTAINER = 'article, li, .card, [class*="listing"], [class*="property"]';
+const MIN_DESCRIPTION_LENGTH = 50;
+
+function extractCards($, pageUrl) {
+    const cards = [];
+    $('a[href]').each((i, element) => {
+        const url = absoluteUrl($(element).attr('href'), pageUrl);
+        if (!url || !LISTING_PATH.test(url) || cards.some(card => card.url === url)) return;
+
+        const container = $(element).closest(CARD_CONTAINER);
+        const card = container.length ? container : $(element);
+        const title = firstText($, ['h2', 'h3', 'h4', '[class*="title"]'], card) || firstAttr($, ['img'], 'alt', card);
+        if (!title) return;
+
+        cards.push({
+            id: lastSegment(url),
+            url,
+            title,
+            location: firstText($, ['[class*="location"]', '[class*="address"]', 'address'], card),
+            price: findPriceText(firstText($, ['[class*="price"]'], card) || card.text()),
+            imageUrl: absoluteUrl(imageOf($, card), pageUrl),
+            type: typeFromText(title, url)
+        });
+    });
+    return cards;
+}
+
+function extractDetail($, url) {
+    let description = firstText($, ['[itemprop="description"]', '.property-description', '.description', '#description', '.entry-content']);
+    if (description.length < MIN_DESCRIPTION_LENGTH) {
+        description = metaContent($, 'og:description') || metaContent($, 'description') || description;
+    }
+    const title = metaContent($, 'og:title') || firstText($, ['h1', 'title']);
+
+    return {
+        title,
+        price: findPriceText(firstAttr($, ['[itemprop="price"]'], 'content') || firstText($, ['[itemprop="price"]', '.price', '.listing-price', '[class*="price"]'])),
+        location: firstText($, ['.location', '.address', 'address']) || metaContent($, 'geo.placename'),
+        imageUrl: absoluteUrl(metaContent($, 'og:image') || imageOf($, $('main, article').first()), url),
+        description: cleanText(description),
+        type: typeFromText(title, url)
+    };
+}
+
+module.exports = {
+    name: 'generic',
+    label: 'Generic (meta tags and common class names)',
+    fingerprint: () => 0,
+    isListingUrl: url => LISTING_PATH.test(url),
+    listingId: lastSegment,
+    listPageUrl: (baseUrl, page) => `${baseUrl}/?page=${page}`,
+    extractCards,
+    extractDetail
+};
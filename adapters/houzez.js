@@ -0,0 +1,63 @@
+const { firstText, firstAttr, metaContent, imageOf, absoluteUrl, findPriceText, lastSegment, typeFromText } = require('./common');
+
+// Houzez WordPress theme (/property/<slug>/, archive pages /property/page/N/)
+
+const LISTING_PATH = /\/property\/[^/?#]+\/?$/;
+
+function fingerprint($) {
+    if ($('link[href*="/themes/houzez"], script[src*="/themes/houzez"]').length) return 1;
+    return /\bhouzez/.test($('body').attr('class') || '') ? 0.9 : 0;
+}
+
+function isListingUrl(url) {
+    try {
+        return LISTING_PATH.test(new URL(url).pathname);
+    } catch (e) {
+        return false;
+    }
+}
+
+function extractCards($, pageUrl) {
+    const cards = [];
+    $('.item-listing-wrap, .property-item').each((i, element) => {
+        const url = absoluteUrl(firstAttr($, ['.item-title a', 'a.listing-featured-thumb', 'a'], 'href', element), pageUrl);
+        if (!url || cards.some(card => card.url === url)) return;
+
+        const title = firstText($, ['.item-title'], element);
+        cards.push({
+            id: lastSegment(url),
+            url,
+            title,
+            location: firstText($, ['.item-address', 'address'], element),
+            price: findPriceText(firstText($, ['.item-price'], element)),
+            imageUrl: absoluteUrl(imageOf($, $(element).find('.listing-image-wrap, .listing-thumb').first()), pageUrl),
+            type: typeFromText(`${title} ${firstText($, ['.label-status', '.item-status'], element)}`, url)
+        });
+    });
+    return cards;
+}
+
+function extractDetail($, url) {
+    const title = firstText($, ['.page-title h1', '.property-title h1', 'h1']);
+    const status = firstText($, ['.page-title-wrap .label-status', '.property-labels-wrap .label-status']);
+
+    return {
+        title,
+        price: findPriceText(firstText($, ['.page-title-wrap .item-price', '.property-price', '.item-price'])),
+        location: firstText($, ['.page-title-wrap .item-address', '.property-address', 'address.item-address']),
+        imageUrl: absoluteUrl(metaContent($, 'og:image') || imageOf($, $('#property-gallery-js, .property-banner, .top-gallery-section').first()), url),
+        description: firstText($, ['#property-description-wrap .block-content-wrap', '.property-description-wrap .block-content-wrap', '#property-description-wrap']),
+        type: typeFromText(`${title} ${status}`, url)
+    };
+}
+
+module.exports = {
+    name: 'houzez',
+    label: 'Houzez (WordPress theme)',
+    fingerprint,
+    isListingUrl,
+    listingId: lastSegment,
+    listPageUrl: (baseUrl, page) => (page === 1 ? `${baseUrl}/property/` : `${baseUrl}/property/page/${page}/`),
+    extractCards,
+    extractDetail
+};
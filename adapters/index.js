@@ -0,0 +1,117 @@
+const cheerio = require('cheerio');
+const generic = require('./generic');
+const raywhite = require('./raywhite');
+const houzez = require('./houzez');
+const { SELECTOR_FIELDS, validateAdapterConfig, createConfigAdapter } = require('./config');
+const { extractStructuredData } = require('./structured-data');
+const { extractSpecEntries } = require('./spec-table');
+const { parseSpecifications } = require('../listings/specs');
+
+// Site adapters for the scraper. An adapter exports name, label, fingerprint($, url) (0..1),
+// isListingUrl(url), listingId(url), listPageUrl(baseUrl, page), extractCards($, pageUrl) and
+// extractDetail($, url). Detail fields fall back stage by stage: config -> structured data ->
+// specification table -> template -> generic. New templates go in TEMPLATE_ADAPTERS.
+
+const TEMPLATE_ADAPTERS = [raywhite, houzez];
+const ADAPTERS = [...TEMPLATE_ADAPTERS, generic];
+const ADAPTER_NAMES = ADAPTERS.map(adapter => adapter.name);
+const MIN_FINGERPRINT_SCORE = 0.5;
+const MAX_TEST_CARDS = 20;
+
+const getAdapter = name => ADAPTERS.find(adapter => adapter.name === name) || null;
+
+// Best template for a page: { adapter, scores: [{ name, score }] }
+function detectAdapter($, url) {
+    const scores = TEMPLATE_ADAPTERS.map(adapter => ({ name: adapter.name, score: adapter.fingerprint($, url) }));
+    const best = scores.reduce((top, entry) => (entry.score > top.score ? entry : top), { name: generic.name, score: 0 });
+    return {
+        adapter: best.score >= MIN_FINGERPRINT_SCORE ? getAdapter(best.name) : generic,
+        scores
+    };
+}
+
+/**
+ * Adapter for a tenant: its configured template (detected from the page when 'auto' or no
+ * config), refined by the config's selectors and URL patterns when it has any.
+ * Returns { adapter, detection } - detection is null when the template is pinned.
+ */
+function resolveAdapter(config, $, url) {
+    const settings = config ? validateAdapterConfig(config, ADAPTER_NAMES) : null;
+    let base;
+    let detection = null;
+    if (settings && settings.template !== 'auto') {
+        base = getAdapter(settings.template);
+    } else {
+        detection = detectAdapter($, url);
+        base = detection.adapter;
+    }
+
+    const refined = settings && (settings.urlPatterns.length > 0 || settings.listPagePath || Object.keys(settings.selectors).length > 0);
+    return { adapter: refined ? createConfigAdapter(settings, base) : base, detection };
+}
+
+/**
+ * Detail fields of a page, each from the first stage that found it: the config's selectors,
+ * structured data (./structured-data.js), the specification table, then the template adapters
+ * down to generic. Returns { fields, sources, specs } - sources names the adapter, structured-data
+ * source or spec key per field; specs holds the table's { entries, unparsed } pairs.
+ */
+function extractDetail(adapter, $, url) {
+    const chain = [];
+    for (let current = adapter; current; current = current.base) chain.push(current);
+    if (!chain.includes(generic)) chain.push(generic);
+
+    const fields = {};
+    const sources = {};
+    const take = (found, sourceOf) => {
+        for (const [field, value] of Object.entries(found)) {
+            if (value && !fields[field]) {
+                fields[field] = value;
+                sources[field] = sourceOf(field);
+            }
+        }
+    };
+
+    const [configured, templates] = chain[0].name === 'config' ? [chain[0], chain.slice(1)] : [null, chain];
+    if (configured) take(configured.extractDetail($, url), () => configured.name);
+    const structured = extractStructuredData($, url);
+    take(structured.fields, field => structured.sources[field]);
+    const entries = extractSpecEntries($);
+    const specs = parseSpecifications(entries);
+    take(specs.fields, field => specs.sources[field]);
+    templates.forEach(current => take(current.extractDetail($, url), () => current.name));
+    return { fields, sources, specs: { entries, unparsed: specs.unparsed } };
+}
+
+/**
+ * Run the adapter a config resolves to on one saved page (admin test endpoint, npm run
+ * check:adapters), without fetching anything: { adapter, base, detection, isListingUrl,
+ * listingId, cardCount, cards (first MAX_TEST_CARDS), detail: { fields, sources, specs } }.
+ * Throws on an invalid config.
+ */
+function testAdapter(html, { url, config = null } = {}) {
+    const $ = cheerio.load(html);
+    const { adapter, detection } = resolveAdapter(config, $, url);
+    const cards = adapter.extractCards($, url);
+    return {
+        adapter: adapter.name,
+        base: adapter.base ? adapter.base.name : null,
+        detection: detection ? detection.scores : null,
+        isListingUrl: adapter.isListingUrl(url),
+        listingId: adapter.isListingUrl(url) ? adapter.listingId(url) : null,
+        cardCount: cards.length,
+        cards: cards.slice(0, MAX_TEST_CARDS),
+        detail: extractDetail(adapter, $, url)
+    };
+}
+
+module.exports = {
+    ADAPTER_NAMES,
+    SELECTOR_FIELDS,
+    getAdapter,
+    detectAdapter,
+    resolveAdapter,
+    extractDetail,
+    testAdapter,
+    validateAdapterConfig: config => validateAdapterConfig(config, ADAPTER_NAMES)
+};
@@ -0,0 +1,74 @@
+const { cleanText, firstText, metaContent, imageOf, absoluteUrl, findPriceText, lastSegment, typeFromText } = require('./common');
+
+// Ray White Indonesia office and agent sites (*.raywhite.co.id); list pages are /?page=N
+
+const LISTING_PATH = /\/(properti|buy|rent)\//;
+const MIN_CARD_LINES = 4;
+const DESCRIPTION_SELECTORS = ['.property-detail', '.description', '#description', '.content', '.entry-content'];
+const MIN_DESCRIPTION_LENGTH = 50;
+
+function fingerprint($, url) {
+    try {
+        if (new URL(url).hostname.endsWith('raywhite.co.id')) return 1;
+    } catch (e) {
+        // Fixture without a URL: judge by the markup only
+    }
+    const siteName = metaContent($, 'og:site_name') || $('title').text();
+    return /ray\s*white/i.test(siteName) ? 0.8 : 0;
+}
+
+function extractCards($, pageUrl) {
+    const cards = [];
+    $('a[href*="/properti/"], a[href*="/buy/"], a[href*="/rent/"]').each((i, element) => {
+        const href = $(element).attr('href');
+        const url = absoluteUrl(href, pageUrl);
+        if (!url || cards.some(card => card.url === url)) return;
+
+        const lines = $(element).text().split('\n').map(line => line.trim()).filter(Boolean);
+        if (lines.length < MIN_CARD_LINES) return;
+
+        cards.push({
+            id: lastSegment(url),
+            url,
+            title: lines[0],
+            location: lines[1],
+            price: lines.find(line => line.includes('Rp.')) || '',
+            imageUrl: absoluteUrl(imageOf($, element), pageUrl),
+            type: typeFromText(lines[0], href)
+        });
+    });
+    return cards;
+}
+
+function extractDetail($, url) {
+    const title = firstText($, ['h1']) || metaContent($, 'og:title') || firstText($, ['title']);
+    const priceText = firstText($, ['.price', '.listing-price']) ||
+        $('div').filter((i, el) => $(el).children('div').length === 0 && $(el).text().includes('Rp')).first().text();
+
+    let description = '';
+    const container = DESCRIPTION_SELECTORS.find(selector => $(selector).length);
+    if (container) description = cleanText($(container).first().text());
+    if (description.length < MIN_DESCRIPTION_LENGTH) {
+        description = metaContent($, 'og:description') || description;
+    }
+
+    return {
+        title,
+        price: findPriceText(priceText),
+        location: firstText($, ['.location', '.address']) || metaContent($, 'geo.placename'),
+        imageUrl: absoluteUrl(metaContent($, 'og:image') || imageOf($, $('.property-image').first()), url),
+        description: cleanText(description),
+        type: typeFromText(title, url)
+    };
+}
+
+module.exports = {
+    name: 'raywhite',
+    label: 'Ray White Indonesia',
+    fingerprint,
+    isListingUrl: url => LISTING_PATH.test(url),
+    listingId: lastSegment,
+    listPageUrl: (baseUrl, page) => `${baseUrl}/?page=${page}`,
+    extractCards,
+    extractDetail
+};
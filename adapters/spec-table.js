@@ -0,0 +1,103 @@
+const { cleanText } = require('./common');
+
+// Specification blocks of a detail page as [{ key, value }] (parsed by listings/specs.js): tables,
+// definition lists, "Key: Value" text and label + value elements under a spec heading; without a
+// heading only tables and definition lists, since loose "Key: Value" text is mostly contact details
+
+const SPEC_HEADING = /^(spesifikasi|specifications?|detail( properti)?|details|property details|informasi properti|fasilitas|facilities|features|amenities)\b/i;
+const FACILITY_HEADING = /^(fasilitas|facilities|features|amenities)\b/i;
+const HEADING_SELECTORS = 'h1, h2, h3, h4, h5, h6, .block-title-wrap, .section-title';
+const PAIR_SELECTORS = 'li, p, div, span';
+const MAX_KEY_LENGTH = 40;
+const MAX_VALUE_LENGTH = 300;
+const MAX_ENTRIES = 60;
+const MAX_SCOPE_DEPTH = 3;
+
+// "Kamar Tidur: 4" -> { key, value }
+function splitPair(text) {
+    const match = cleanText(text).match(/^([^:]{1,40}?)\s*:\s*(.+)$/);
+    return match ? { key: match[1], value: match[2] } : null;
+}
+
+// Label and value as separate children: <strong>Bedrooms</strong><span>3</span>
+function labelledPair($, el) {
+    const children = $(el).children();
+    if (children.length < 2) return null;
+    const key = cleanText($(children[0]).text()).replace(/:$/, '');
+    const value = cleanText(children.slice(1).map((i, child) => $(child).text()).get().join(' '));
+    return key && value ? { key, value } : null;
+}
+
+function tablePairs($, scope) {
+    const pairs = [];
+    $(scope).find('tr').each((i, row) => {
+        const cells = $(row).children('th, td');
+        if (cells.length === 2) pairs.push({ key: cleanText($(cells[0]).text()), value: cleanText($(cells[1]).text()) });
+    });
+    $(scope).find('dt').each((i, term) => {
+        const definition = $(term).nextAll('dd').first();
+        if (definition.length) pairs.push({ key: cleanText($(term).text()), value: cleanText(definition.text()) });
+    });
+    return pairs;
+}
+
+// "Key: Value" and label + value elements that hold no further block elements
+function textPairs($, scope) {
+    const pairs = [];
+    $(scope).find(PAIR_SELECTORS).each((i, el) => {
+        if ($(el).find('li, p, div, tr, dt').length) return;
+        if ($(el).is('span') && $(el).parent().is(PAIR_SELECTORS)) return;
+        const pair = splitPair($(el).text()) || ($(el).is('li, div') ? labelledPair($, el) : null);
+        if (pair) pairs.push(pair);
+    });
+    return pairs;
+}
+
+// A facilities list of plain items (<li>Kolam Renang</li><li>Taman</li>) as one pair
+function facilityPair($, heading, scope) {
+    const items = $(scope).find('li').map((i, el) => cleanText($(el).text())).get()
+        .filter(item => item && !item.includes(':'));
+    return items.length ? [{ key: cleanText($(heading).text()), value: items.join(', ') }] : [];
+}
+
+// Closest ancestor of a spec heading that holds more than the heading itself
+function sectionOf($, heading) {
+    let scope = $(heading).parent();
+    for (let depth = 0; depth < MAX_SCOPE_DEPTH && scope.length; depth++) {
+        if (cleanText(scope.text()).length > cleanText($(heading).text()).length + 10) return scope[0];
+        scope = scope.parent();
+    }
+    return null;
+}
+
+/**
+ * Key/value pairs of the page's specification blocks, first pair per key, in page order.
+ */
+function extractSpecEntries($) {
+    const sections = [];
+    $(HEADING_SELECTORS).each((i, heading) => {
+        if (!SPEC_HEADING.test(cleanText($(heading).text()))) return;
+        const scope = sectionOf($, heading);
+        if (scope && !sections.some(section => section.scope === scope)) sections.push({ heading, scope });
+    });
+
+    const pairs = sections.length
+        ? sections.flatMap(({ heading, scope }) => [
+            ...tablePairs($, scope),
+            ...textPairs($, scope),
+            ...(FACILITY_HEADING.test(cleanText($(heading).text())) ? facilityPair($, heading, scope) : [])
+        ])
+        : tablePairs($, 'body');
+
+    const entries = [];
+    for (const { key, value } of pairs) {
+        const cleanKey = key.replace(/:$/, '').trim();
+        if (!cleanKey || !value || cleanKey.length > MAX_KEY_LENGTH || value.length > MAX_VALUE_LENGTH) continue;
+        if (entries.some(entry => entry.key.toLowerCase() === cleanKey.toLowerCase())) continue;
+        entries.push({ key: cleanKey, value });
+        if (entries.length >= MAX_ENTRIES) break;
+    }
+    return entries;
+}
+
+module.exports = { extractSpecEntries };
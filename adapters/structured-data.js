@@ -0,0 +1,227 @@
+const { cleanText, absoluteUrl, metaContent } = require('./common');
+
+// Structured data stage, run before the adapters' selectors: schema.org JSON-LD (wins) and OpenGraph /
+// place meta tags mapped to listing fields, each with its source ("json-ld:RealEstateListing.offers.price")
+
+const LISTING_TYPES = ['RealEstateListing'];
+const OFFER_TYPES = ['Offer', 'AggregateOffer'];
+const PLACE_TYPES = ['Accommodation', 'Residence', 'House', 'SingleFamilyResidence', 'Apartment', 'ApartmentComplex',
+    'GatedResidenceCommunity', 'Room', 'Suite', 'Place', 'LandmarksOrHistoricalBuildings', 'Product'];
+const LEASE_FUNCTION = /leaseout|lease|rent/i;
+const SQFT_TO_SQM = 0.09290304;
+const RENT_PERIODS = { MON: '/bulan', ANN: '/tahun', month: '/bulan', year: '/tahun' };
+
+// Land size in additionalProperty ({ name: "Luas Tanah", value: "300 m²" })
+const LAND_SIZE_NAME = /lot size|land size|land area|luas tanah|\blt\b/i;
+
+const typesOf = node => [].concat(node?.['@type'] || []).map(type => String(type).replace(/^https?:\/\/schema\.org\//, ''));
+const hasType = (node, types) => typesOf(node).some(type => types.includes(type));
+const asArray = value => (value == null ? [] : [].concat(value));
+
+// Every node in the page's JSON-LD scripts, @graph and nested values included
+function jsonLdNodes($) {
+    const nodes = [];
+    const visit = value => {
+        if (Array.isArray(value)) return value.forEach(visit);
+        if (!value || typeof value !== 'object') return;
+        nodes.push(value);
+        Object.values(value).forEach(visit);
+    };
+    $('script[type="application/ld+json"]').each((i, el) => {
+        const text = $(el).contents().text().replace(/^\s*<!--|-->\s*$/g, '').replace(/^\s*\/\/<!\[CDATA\[|\/\/\]\]>\s*$/g, '');
+        try {
+            visit(JSON.parse(text));
+        } catch (e) {
+            // Broken JSON-LD is common; the selectors still get their turn
+        }
+    });
+    return nodes;
+}
+
+// Node itself, or the node its @id points to
+function resolve(value, nodes) {
+    if (value && typeof value === 'object' && value['@id'] && Object.keys(value).length === 1) {
+        return nodes.find(node => node['@id'] === value['@id'] && Object.keys(node).length > 1) || value;
+    }
+    return value;
+}
+
+const toNumber = value => {
+    const number = typeof value === 'number' ? value : parseFloat(String(value ?? '').replace(/[^\d.-]/g, ''));
+    return Number.isFinite(number) ? number : null;
+};
+
+// "Rp 7.500.000.000" (with a rent period) for IDR, "USD 500000" otherwise
+function priceText(amount, currency, period) {
+    const value = toNumber(amount);
+    if (value == null || value <= 0) return '';
+    if (currency === 'IDR') return `Rp ${Math.round(value).toLocaleString('id-ID')}${RENT_PERIODS[period] || ''}`;
+    return `${currency} ${value}${RENT_PERIODS[period] || ''}`;
+}
+
+// QuantitativeValue -> m² (MTK / "m2" as is, FTK / "sqft" converted)
+function squareMetres(size) {
+    const quantity = typeof size === 'object' ? size : { value: size };
+    const value = toNumber(quantity?.value);
+    if (value == null || value <= 0) return null;
+    const unit = `${quantity.unitCode || ''} ${quantity.unitText || ''}`.toLowerCase();
+    return /ftk|sq\s?ft|square f/.test(unit) ? Math.round(value * SQFT_TO_SQM) : value;
+}
+
+function imageUrls(value, pageUrl) {
+    return asArray(value)
+        .map(image => (typeof image === 'string' ? image : image?.contentUrl || image?.url))
+        .map(url => absoluteUrl(url, pageUrl))
+        .filter(Boolean);
+}
+
+function addressParts(address) {
+    if (typeof address === 'string') return { street: cleanText(address) };
+    if (!address || typeof address !== 'object') return null;
+    const country = address.addressCountry;
+    const parts = {
+        street: cleanText(address.streetAddress),
+        locality: cleanText(address.addressLocality),
+        region: cleanText(address.addressRegion),
+        postalCode: cleanText(address.postalCode),
+        country: cleanText(typeof country === 'object' ? country?.name : country)
+    };
+    return Object.values(parts).some(Boolean) ? parts : null;
+}
+
+function fromJsonLd($, url) {
+    const found = [];
+    const add = (field, value, source) => found.push({ field, value, source: `json-ld:${source}` });
+    const nodes = jsonLdNodes($);
+
+    const listing = nodes.find(node => hasType(node, LISTING_TYPES));
+    const listingType = listing ? typesOf(listing).find(type => LISTING_TYPES.includes(type)) : null;
+    const offerSource = listing ? `${listingType}.offers` : 'Offer';
+    const offer = resolve(asArray(listing?.offers)[0], nodes) || nodes.find(node => hasType(node, OFFER_TYPES));
+    const placeKey = listing && ['about', 'mainEntity', 'itemOffered', 'contentLocation'].find(key => listing[key]);
+    const offered = offer && resolve(asArray(offer.itemOffered)[0], nodes);
+    let place = placeKey ? resolve(asArray(listing[placeKey])[0], nodes) : null;
+    let placeSource = placeKey ? `${listingType}.${placeKey}` : null;
+    if (!place && offered && typeof offered === 'object') {
+        [place, placeSource] = [offered, `${offerSource}.itemOffered`];
+    }
+    if (!place) {
+        place = nodes.find(node => hasType(node, PLACE_TYPES) && (node.address || node.geo || node.floorSize));
+        placeSource = place ? typesOf(place)[0] : null;
+    }
+
+    if (listing) {
+        if (listing.name) add('title', cleanText(listing.name), `${listingType}.name`);
+        if (listing.description) add('description', cleanText(listing.description), `${listingType}.description`);
+        const posted = listing.datePosted || listing.datePublished;
+        if (posted) add('listedAt', String(posted), `${listingType}.${listing.datePosted ? 'datePosted' : 'datePublished'}`);
+        const images = imageUrls(listing.image, url);
+        if (images.length) add('images', images, `${listingType}.image`);
+    }
+
+    if (offer) {
+        const spec = resolve(asArray(offer.priceSpecification)[0], nodes) || {};
+        const amount = offer.price ?? offer.lowPrice ?? spec.price;
+        const currency = cleanText(offer.priceCurrency || spec.priceCurrency).toUpperCase() || 'IDR';
+        const isLease = LEASE_FUNCTION.test(String(offer.businessFunction || '')) || !!spec.unitCode;
+        const price = priceText(amount, currency, spec.unitCode || spec.unitText);
+        if (price) {
+            add('price', price, `${offerSource}.${offer.price != null ? 'price' : (offer.lowPrice != null ? 'lowPrice' : 'priceSpecification.price')}`);
+            add('priceCurrency', currency, `${offerSource}.${offer.priceCurrency ? 'priceCurrency' : 'priceSpecification.priceCurrency'}`);
+        }
+        if (isLease) add('type', 'Rent', `${offerSource}.${offer.businessFunction ? 'businessFunction' : 'priceSpecification.unitCode'}`);
+    }
+
+    if (place && typeof place === 'object') {
+        const address = addressParts(resolve(place.address, nodes));
+        if (address) {
+            add('address', address, `${placeSource}.address`);
+            const location = [address.street, address.locality, address.region].filter(Boolean).join(', ');
+            if (location) add('location', location, `${placeSource}.address`);
+        }
+        const geo = resolve(place.geo, nodes);
+        if (geo) add('geo', { lat: toNumber(geo.latitude), lng: toNumber(geo.longitude) }, `${placeSource}.geo`);
+        const floorSize = squareMetres(place.floorSize);
+        if (floorSize) add('buildingSize', floorSize, `${placeSource}.floorSize`);
+        const bedrooms = place.numberOfBedrooms ?? place.numberOfRooms;
+        if (toNumber(bedrooms?.value ?? bedrooms) != null) {
+            add('bedrooms', toNumber(bedrooms?.value ?? bedrooms), `${placeSource}.${place.numberOfBedrooms != null ? 'numberOfBedrooms' : 'numberOfRooms'}`);
+        }
+        const bathrooms = place.numberOfBathroomsTotal ?? place.numberOfFullBathrooms;
+        if (toNumber(bathrooms) != null) {
+            add('bathrooms', toNumber(bathrooms), `${placeSource}.${place.numberOfBathroomsTotal != null ? 'numberOfBathroomsTotal' : 'numberOfFullBathrooms'}`);
+        }
+        const land = asArray(place.additionalProperty).find(property => LAND_SIZE_NAME.test(property?.name || ''));
+        const landSize = land && squareMetres(land);
+        if (landSize) add('landSize', landSize, `${placeSource}.additionalProperty`);
+        const images = imageUrls(place.image || place.photo, url);
+        if (images.length) add('images', images, `${placeSource}.image`);
+        if (!listing && place.name) add('title', cleanText(place.name), `${placeSource}.name`);
+    }
+
+    return found;
+}
+
+function fromMeta($, url) {
+    const found = [];
+    const add = (field, value, source) => found.push({ field, value, source: `meta:${source}` });
+    const first = names => names.map(name => [name, metaContent($, name)]).find(([, value]) => value) || [];
+
+    const [amountTag, amount] = first(['og:price:amount', 'product:price:amount']);
+    if (amount) {
+        const currency = (first(['og:price:currency', 'product:price:currency'])[1] || 'IDR').toUpperCase();
+        const price = priceText(amount, currency);
+        if (price) {
+            add('price', price, amountTag);
+            add('priceCurrency', currency, amountTag.replace('amount', 'currency'));
+        }
+    }
+
+    const [latTag, lat] = first(['place:location:latitude', 'og:latitude', 'geo.position']);
+    if (lat) {
+        const [latitude, longitude] = latTag === 'geo.position'
+            ? lat.split(/[;,]/).map(toNumber)
+            : [toNumber(lat), toNumber(first(['place:location:longitude', 'og:longitude'])[1])];
+        add('geo', { lat: latitude, lng: longitude }, latTag);
+    }
+
+    const address = {
+        street: metaContent($, 'og:street-address'),
+        locality: metaContent($, 'og:locality'),
+        region: metaContent($, 'og:region') || metaContent($, 'geo.region'),
+        postalCode: metaContent($, 'og:postal-code'),
+        country: metaContent($, 'og:country-name')
+    };
+    if (Object.values(address).some(Boolean)) {
+        add('address', address, 'og:street-address');
+        const location = [address.street, address.locality, address.region].filter(Boolean).join(', ');
+        if (location) add('location', location, 'og:street-address');
+    }
+
+    const images = $('meta[property="og:image"]').map((i, el) => absoluteUrl($(el).attr('content'), url)).get().filter(Boolean);
+    if (images.length > 1) add('images', images, 'og:image');
+
+    const [postedTag, posted] = first(['article:published_time', 'og:published_time']);
+    if (posted) add('listedAt', posted, postedTag);
+
+    return found;
+}
+
+const validGeo = geo => geo.lat != null && geo.lng != null && Math.abs(geo.lat) <= 90 && Math.abs(geo.lng) <= 180 && (geo.lat !== 0 || geo.lng !== 0);
+
+/**
+ * Structured listing fields of a page: { fields, sources }, JSON-LD first, then meta tags.
+ */
+function extractStructuredData($, url) {
+    const fields = {};
+    const sources = {};
+    for (const { field, value, source } of [...fromJsonLd($, url), ...fromMeta($, url)]) {
+        if (fields[field] !== undefined || value == null || value === '') continue;
+        if (field === 'geo' && !validGeo(value)) continue;
+        fields[field] = value;
+        sources[field] = source;
+    }
+    return { fields, sources };
+}
+
+module.exports = { extractStructuredData };
@@ -6,23 +6,37 @@ document.addEventListener('DOMContentLoaded', () => {
     const sendBtn = document.getElementById('send-btn');
     const chatBody = document.getElementById('chat-body');
 
-    // Initialize chat history and messages
-    let chatHistory = [];
+    const API_BASE_URL = 'https://ai-agent-prop-678376481425.asia-southeast2.run.app';
+    const STREAM_IDLE_TIMEOUT_MS = 30000; // Abort a stream only after 30 seconds without any event
+    const TOOL_STATUS_LABELS = {
+        search_properties: 'Searching listings...',
+        search_office_database: 'Checking the Ray White office network...',
+        get_property_details: 'Checking the listing details...',
+        compare_properties: 'Comparing the properties...',
+        find_similar_properties: 'Looking for similar homes...',
+        collect_visitor_info: 'Saving your contact details...',
+        schedule_viewing: 'Scheduling your viewing...',
+        send_inquiry_email: 'Notifying the agent...'
+    };
+
+    // Conversation history lives on the server; the widget only keeps the session id and rendered messages
+    let conversationId = null;
     let chatMessages = [];
+    const recommendedFor = new Set(); // Listings whose "homes like this" were already shown
 
     // Get tenant ID for storage key
     const tenantId = document.getElementById('chat-widget')?.dataset?.tenantId || window.location.hostname;
-    const historyKey = `chatHistory_${tenantId}`;
+    const conversationKey = `conversationId_${tenantId}`;
     const messagesKey = `chatMessages_${tenantId}`;
     console.log('[Chat Widget] Tenant ID:', tenantId);
-    console.log('[Chat Widget] Storage keys:', { historyKey, messagesKey });
+    console.log('[Chat Widget] Storage keys:', { conversationKey, messagesKey });
 
     // Save chat state to localStorage
     function saveChatState() {
         try {
-            localStorage.setItem(historyKey, JSON.stringify(chatHistory));
+            if (conversationId) localStorage.setItem(conversationKey, conversationId);
             localStorage.setItem(messagesKey, JSON.stringify(chatMessages));
-            console.log('Saved chat state:', chatHistory.length, 'history entries,', chatMessages.length, 'messages');
+            console.log('Saved chat state:', conversationId, chatMessages.length, 'messages');
         } catch (e) {
             console.warn('Failed to save chat state:', e);
         }
@@ -32,7 +46,7 @@ document.addEventListener('DOMContentLoaded', () => {
     chatToggle.addEventListener('click', () => {
         chatWidget.classList.add('active');
         chatToggle.style.display = 'none';
-        if (chatHistory.length === 0) {
+        if (chatMessages.length === 0) {
             // Optional: Play a sound or animation
         }
     });
@@ -82,34 +96,188 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log('Tenant ID:', tenantId);
         console.log('Current URL:', currentUrl);
         console.log('Current Property ID:', currentPropertyId);
-        console.log('History entries:', chatHistory.length);
+        console.log('Conversation ID:', conversationId);
         console.log('Message:', message);
         
-        // Set timeout warning
+        const requestBody = {
+            message: message,
+            conversationId: conversationId,
+            tenant: tenantId,
+            currentUrl: currentUrl,
+            currentPropertyId: currentPropertyId
+        };
+        
+        // Prefer streaming so visitors on slow connections see the answer while it is written
+        if (window.ReadableStream && window.TextDecoder) {
+            sendMessageStreaming(message, requestBody);
+        } else {
+            sendMessageJson(message, requestBody);
+        }
+    }
+
+    // Streaming request over Server-Sent Events (POST, so EventSource can't be used)
+    function sendMessageStreaming(message, requestBody) {
+        const controller = new AbortController();
+        let receivedEvent = false;
+        let finished = false;
+        let streamingBubble = null;
+        let streamedText = '';
+        let renderedProperties = false;
+        let renderedComparisons = false;
+        
+        // Idle timeout: only give up when the server has gone quiet, not when the answer is long
+        let idleTimer = null;
+        const resetIdleTimer = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => controller.abort(), STREAM_IDLE_TIMEOUT_MS);
+        };
+        resetIdleTimer();
+        
         const timeoutWarning = setTimeout(() => {
-            const indicator = document.getElementById('typing-indicator');
-            if (indicator) {
-                indicator.innerHTML = '<div class="typing-indicator">Still searching... this is taking longer than usual</div>';
+            setTypingStatus('Still searching... this is taking longer than usual');
+        }, 8000);
+        
+        function handleEvent(event, data) {
+            if (!receivedEvent) {
+                receivedEvent = true;
+                clearTimeout(timeoutWarning);
+            }
+            
+            if (event === 'token') {
+                if (!streamingBubble) {
+                    removeTypingIndicator();
+                    streamingBubble = document.createElement('div');
+                    streamingBubble.classList.add('message', 'bot', 'streaming');
+                    streamingBubble.innerHTML = '<div class="message-content"></div>';
+                    chatBody.appendChild(streamingBubble);
+                }
+                streamedText += data.text;
+                streamingBubble.querySelector('.message-content').textContent = streamedText;
+                scrollToBottom();
+            } else if (event === 'tool_call') {
+                if (data.status === 'started') {
+                    setTypingStatus(TOOL_STATUS_LABELS[data.name] || 'Working on it...');
+                }
+            } else if (event === 'properties') {
+                if (data.properties && data.properties.length > 0) {
+                    renderProperties(data.properties);
+                    renderedProperties = true;
+                }
+            } else if (event === 'comparison') {
+                renderComparison(data.comparison);
+                renderedComparisons = true;
+            } else if (event === 'done') {
+                finished = true;
+                removeTypingIndicator();
+                // The final text is authoritative (sanitized as a whole on the server)
+                handleChatResponse(message, data, { replaceElement: streamingBubble, skipProperties: renderedProperties, skipComparisons: renderedComparisons });
+            } else if (event === 'error') {
+                finished = true;
+                removeTypingIndicator();
+                if (streamingBubble) streamingBubble.remove();
+                if (data.status === 429 || data.quota) {
+                    showErrorMessage({ type: 'quota', data: data });
+                } else {
+                    showErrorMessage(new Error(data.text || data.message || `HTTP ${data.status}`));
+                }
             }
+        }
+        
+        fetch(`${API_BASE_URL}/api/chat/stream`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream',
+                'X-Tenant-ID': tenantId
+            },
+            body: JSON.stringify(requestBody),
+            signal: controller.signal
+        })
+            .then(response => {
+                if (!response.ok || !response.body) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                
+                const reader = response.body.getReader();
+                const decoder = new TextDecoder();
+                let buffer = '';
+                
+                const read = () => reader.read().then(({ done, value }) => {
+                    if (done) return;
+                    resetIdleTimer();
+                    buffer += decoder.decode(value, { stream: true });
+                    
+                    let boundary;
+                    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                        const parsed = parseSseEvent(buffer.slice(0, boundary));
+                        buffer = buffer.slice(boundary + 2);
+                        if (parsed) handleEvent(parsed.event, parsed.data);
+                    }
+                    return read();
+                });
+                return read();
+            })
+            .then(() => {
+                clearTimeout(idleTimer);
+                clearTimeout(timeoutWarning);
+                if (!finished) {
+                    throw new Error('Stream ended before the answer was complete');
+                }
+            })
+            .catch(error => {
+                console.error('Streaming error:', error);
+                clearTimeout(idleTimer);
+                clearTimeout(timeoutWarning);
+                
+                // Nothing arrived yet (old server, proxy without streaming): retry on the JSON endpoint
+                if (!receivedEvent && error.name !== 'AbortError') {
+                    console.log('Falling back to JSON endpoint');
+                    sendMessageJson(message, requestBody);
+                    return;
+                }
+                
+                if (finished) return;
+                removeTypingIndicator();
+                if (streamingBubble) streamingBubble.remove();
+                showErrorMessage(error);
+            });
+    }
+
+    // Parse one SSE block ("event: x\ndata: {...}"); comment-only keep-alive blocks return null
+    function parseSseEvent(block) {
+        let event = 'message';
+        const dataLines = [];
+        block.split('\n').forEach(line => {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+        });
+        if (dataLines.length === 0) return null;
+        try {
+            return { event, data: JSON.parse(dataLines.join('\n')) };
+        } catch (e) {
+            console.warn('Failed to parse SSE event:', block);
+            return null;
+        }
+    }
+
+    // Non-streaming request (kept for browsers without fetch streams and as a fallback)
+    function sendMessageJson(message, requestBody) {
+        // Set timeout warning
+        const timeoutWarning = setTimeout(() => {
+            setTypingStatus('Still searching... this is taking longer than usual');
         }, 8000); // Show warning after 8 seconds
         
         // Call API with timeout
         const controller = new AbortController();
         const timeout = setTimeout(() => controller.abort(), 30000); // 30 second timeout
         
-        fetch('https://ai-agent-prop-678376481425.asia-southeast2.run.app/api/chat', {
+        fetch(`${API_BASE_URL}/api/chat`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'X-Tenant-ID': tenantId
             },
-            body: JSON.stringify({
-                message: message,
-                history: chatHistory,
-                tenant: tenantId,
-                currentUrl: currentUrl,
-                currentPropertyId: currentPropertyId
-            }),
+            body: JSON.stringify(requestBody),
             signal: controller.signal
         })
             .then(response => {
@@ -155,51 +323,65 @@ document.addEventListener('DOMContentLoaded', () => {
             .then(data => {
                 console.log('Received data from API:', data);
                 removeTypingIndicator();
-
-                // Add Bot Message
-                if (data.text) {
-                    addMessage(data.text, 'bot');
-                }
-
-                // Render Properties if any
-                if (data.properties && data.properties.length > 0) {
-                    console.log('Rendering properties:', data.properties);
-                    renderProperties(data.properties);
-                } else {
-                    console.log('No properties to render');
-                }
-
-                // Update History
-                chatHistory.push({ role: 'user', parts: message });
-                chatHistory.push({ role: 'model', parts: data.text || 'Here are some properties.' });
-                saveChatState();
+                handleChatResponse(message, data);
             })
             .catch(error => {
                 console.error('Error:', error);
                 clearTimeout(timeout);
                 clearTimeout(timeoutWarning);
                 removeTypingIndicator();
-                
-                if (error.type === 'quota') {
-                    const message = error.data.message || 'Token quota exceeded. Please contact the website administrator to upgrade your plan.';
-                    addMessage(`⚠️ ${message}`, 'bot');
-                    
-                    if (error.data.usage) {
-                        console.warn('Quota details:', error.data.usage);
-                    }
-                } else if (error.name === 'AbortError') {
-                    addMessage('Mohon maaf, permintaan memakan waktu terlalu lama. Silakan coba lagi dengan pertanyaan yang lebih sederhana.', 'bot');
-                } else {
-                    // Show error message or default
-                    const errorMsg = error.message && error.message.startsWith('HTTP') 
-                        ? 'Mohon tunggu sebentar, saya sedang mengalami kendala teknis. Bisa coba ulangi pertanyaan Anda?'
-                        : error.message || 'Mohon tunggu sebentar, saya sedang mengalami kendala. Bisa ulangi pertanyaan Anda?';
-                    addMessage(errorMsg, 'bot');
-                }
+                showErrorMessage(error);
             });
     }
 
-    function addMessage(text, sender, shouldSave = true, messageId = null) {
+    // Render a completed answer and remember the server-side session
+    function handleChatResponse(message, data, { replaceElement = null, skipProperties = false, skipComparisons = false } = {}) {
+        if (data.conversationId) {
+            conversationId = data.conversationId;
+        }
+
+        // Add Bot Message (the server's messageId ties feedback to the recorded turn)
+        if (data.text) {
+            addMessage(data.text, 'bot', true, data.messageId || null, replaceElement);
+        } else if (replaceElement) {
+            replaceElement.remove();
+        }
+
+        // Render Properties if any
+        if (!skipProperties && data.properties && data.properties.length > 0) {
+            console.log('Rendering properties:', data.properties);
+            renderProperties(data.properties);
+        } else {
+            console.log('No properties to render');
+        }
+
+        if (!skipComparisons && data.comparisons) {
+            data.comparisons.forEach(renderComparison);
+        }
+
+        saveChatState();
+    }
+
+    function showErrorMessage(error) {
+        if (error.type === 'quota') {
+            const message = error.data.message || 'Token quota exceeded. Please contact the website administrator to upgrade your plan.';
+            addMessage(`⚠️ ${message}`, 'bot');
+            
+            if (error.data.usage) {
+                console.warn('Quota details:', error.data.usage);
+            }
+        } else if (error.name === 'AbortError') {
+            addMessage('Mohon maaf, permintaan memakan waktu terlalu lama. Silakan coba lagi dengan pertanyaan yang lebih sederhana.', 'bot');
+        } else {
+            // Show error message or default
+            const errorMsg = error.message && error.message.startsWith('HTTP') 
+                ? 'Mohon tunggu sebentar, saya sedang mengalami kendala teknis. Bisa coba ulangi pertanyaan Anda?'
+                : error.message || 'Mohon tunggu sebentar, saya sedang mengalami kendala. Bisa ulangi pertanyaan Anda?';
+            addMessage(errorMsg, 'bot');
+        }
+    }
+
+    function addMessage(text, sender, shouldSave = true, messageId = null, replaceElement = null) {
         const messageDiv = document.createElement('div');
         messageDiv.classList.add('message', sender);
         
@@ -255,7 +437,12 @@ document.addEventListener('DOMContentLoaded', () => {
             messageDiv.appendChild(feedbackDiv);
         }
 
-        chatBody.appendChild(messageDiv);
+        if (replaceElement) {
+            // Streamed answer: swap the partial bubble for the final message in place
+            chatBody.replaceChild(messageDiv, replaceElement);
+        } else {
+            chatBody.appendChild(messageDiv);
+        }
         scrollToBottom();
         
         // Save to messages array for persistence
@@ -269,13 +456,12 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Submit feedback to server
     function submitFeedback(messageId, rating, aiResponse) {
-        const conversationId = `conv_${tenantId}_${Date.now()}`;
-        const lastUserMessage = chatHistory.length > 0 ? 
-            chatHistory[chatHistory.length - 1].parts : '';
+        const lastUserEntry = [...chatMessages].reverse().find(msg => msg.sender === 'user');
+        const lastUserMessage = lastUserEntry ? lastUserEntry.text : '';
         
         console.log('Submitting feedback:', { messageId, rating, aiResponse: aiResponse.substring(0, 50) });
         
-        fetch('https://ai-agent-prop-678376481425.asia-southeast2.run.app/api/feedback', {
+        fetch(`${API_BASE_URL}/api/feedback`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -294,6 +480,12 @@ document.addEventListener('DOMContentLoaded', () => {
         .then(data => {
             console.log('Feedback submitted successfully:', data);
             
+            // Liked answer with listings: the server suggests homes like them
+            if (data.similar && data.similar.properties.length > 0) {
+                recommendedFor.add(String(data.similar.propertyId));
+                renderSimilar(data.similar.properties);
+            }
+            
             // If thumbs down, optionally show feedback form
             if (rating === 'thumbs_down') {
                 showFeedbackForm(messageId, conversationId, lastUserMessage, aiResponse);
@@ -322,7 +514,7 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('submit-detailed-feedback').addEventListener('click', function() {
             const detailedFeedback = document.getElementById('detailed-feedback').value.trim();
             
-            fetch('https://ai-agent-prop-678376481425.asia-southeast2.run.app/api/feedback', {
+            fetch(`${API_BASE_URL}/api/feedback`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -394,6 +586,10 @@ document.addEventListener('DOMContentLoaded', () => {
             cardHTML += `</div>`;
             
             card.innerHTML = cardHTML;
+            const link = card.querySelector('a.view-btn');
+            if (link && !isCobroke) {
+                link.addEventListener('click', () => loadSimilar(prop.id));
+            }
             container.appendChild(card);
         });
 
@@ -401,6 +597,78 @@ document.addEventListener('DOMContentLoaded', () => {
         scrollToBottom();
     }
 
+    // "Homes like this" after a card click, once per listing
+    function loadSimilar(propertyId) {
+        if (recommendedFor.has(String(propertyId))) return;
+        recommendedFor.add(String(propertyId));
+
+        const query = conversationId ? `?conversationId=${encodeURIComponent(conversationId)}` : '';
+        fetch(`${API_BASE_URL}/api/properties/${encodeURIComponent(propertyId)}/similar${query}`, {
+            headers: { 'X-Tenant-ID': tenantId }
+        })
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => {
+                if (data.properties.length > 0) renderSimilar(data.properties);
+            })
+            .catch(error => {
+                console.warn('Similar properties could not be loaded:', error.message);
+            });
+    }
+
+    function renderSimilar(properties) {
+        const label = document.createElement('div');
+        label.classList.add('message', 'bot', 'similar-label');
+        label.textContent = 'Similar homes you may like:';
+        chatBody.appendChild(label);
+        renderProperties(properties);
+    }
+
+    // Side-by-side table from compare_properties: one column per listing, best values highlighted
+    function renderComparison(comparison) {
+        const container = document.createElement('div');
+        container.classList.add('message', 'bot', 'comparison-chat');
+
+        const table = document.createElement('table');
+        table.classList.add('comparison-table');
+
+        const headerRow = table.createTHead().insertRow();
+        headerRow.appendChild(document.createElement('th'));
+        comparison.properties.forEach(prop => {
+            const th = document.createElement('th');
+            const link = prop.eflyer || prop.url;
+            const title = document.createElement(link ? 'a' : 'span');
+            title.textContent = prop.title || `ID ${prop.id}`;
+            if (link) {
+                title.href = link;
+                title.target = '_blank';
+            }
+            th.appendChild(title);
+            headerRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        comparison.rows.forEach(row => {
+            const tr = body.insertRow();
+            const label = document.createElement('th');
+            label.textContent = row.label;
+            tr.appendChild(label);
+            row.display.forEach((text, i) => {
+                const cell = tr.insertCell();
+                cell.textContent = text;
+                const value = row.values[i];
+                if (value && value.text) cell.title = value.text; // Where a POI distance was read from
+                if (row.best.includes(i)) cell.classList.add('best');
+            });
+        });
+
+        container.appendChild(table);
+        chatBody.appendChild(container);
+        scrollToBottom();
+    }
+
     function showTypingIndicator() {
         const indicator = document.createElement('div');
         indicator.id = 'typing-indicator';
@@ -414,6 +682,14 @@ document.addEventListener('DOMContentLoaded', () => {
         scrollToBottom();
     }
 
+    // Replace the typing dots with a short status line (e.g. which tool is running)
+    function setTypingStatus(text) {
+        const indicator = document.getElementById('typing-indicator');
+        if (indicator) {
+            indicator.innerHTML = `<div class="typing-indicator">${text}</div>`;
+        }
+    }
+
     function removeTypingIndicator() {
         const indicator = document.getElementById('typing-indicator');
         if (indicator) indicator.remove();
@@ -425,30 +701,50 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Restore chat history from localStorage
     try {
-        const savedHistory = localStorage.getItem(historyKey);
+        conversationId = localStorage.getItem(conversationKey);
         const savedMessages = localStorage.getItem(messagesKey);
-        if (savedHistory) {
-            chatHistory = JSON.parse(savedHistory);
-            console.log('Restored chat history:', chatHistory.length, 'entries');
-        }
         if (savedMessages) {
             chatMessages = JSON.parse(savedMessages);
             console.log('Restoring chat messages:', chatMessages.length, 'messages');
             // Restore chat messages in the UI
             chatMessages.forEach(msg => {
-                addMessage(msg.text, msg.sender, false); // false = don't save again
+                addMessage(msg.text, msg.sender, false, msg.messageId); // false = don't save again
             });
+        } else if (conversationId) {
+            restoreConversation();
         }
     } catch (e) {
         console.error('Failed to restore chat history:', e);
     }
 
+    // Rebuild the transcript from the server (e.g. local messages were cleared but the session is still alive)
+    function restoreConversation() {
+        fetch(`${API_BASE_URL}/api/conversations/${encodeURIComponent(conversationId)}`, {
+            headers: { 'X-Tenant-ID': tenantId }
+        })
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => {
+                console.log('Restored conversation from server:', data.turns.length, 'turns');
+                data.turns.forEach(turn => {
+                    addMessage(turn.text, turn.role === 'user' ? 'user' : 'bot', true, turn.messageId);
+                });
+            })
+            .catch(error => {
+                console.warn('Conversation could not be restored, starting a new one:', error.message);
+                conversationId = null;
+                localStorage.removeItem(conversationKey);
+            });
+    }
+
     // Clear chat function
     function clearChat() {
         if (confirm('Are you sure you want to clear the chat history?')) {
-            chatHistory = [];
+            conversationId = null;
             chatMessages = [];
-            localStorage.removeItem(historyKey);
+            localStorage.removeItem(conversationKey);
             localStorage.removeItem(messagesKey);
             chatBody.innerHTML = '';
             console.log('Chat history cleared');
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+
+// Listing changes between two scrapes of a tenant (added, removed, sold, priceChanged,
+// descriptionChanged), diffed against the snapshots kept in the scrape state
+
+const SOLD_STATUSES = ['sold', 'rented'];
+const MAX_STORED_CHANGES = 200;
+
+const hashText = text => crypto.createHash('sha1').update(String(text || '')).digest('hex');
+
+// What the next run diffs against
+function snapshotListing(listing) {
+    return {
+        id: String(listing.id),
+        title: listing.title || '',
+        url: listing.url || null,
+        price: listing.price || '',
+        priceValue: listing.priceValue ?? null,
+        pricePeriod: listing.pricePeriod || null,
+        status: listing.status || 'active',
+        descriptionHash: listing.description ? hashText(listing.description) : null
+    };
+}
+
+const briefOf = listing => ({ id: listing.id, title: listing.title, url: listing.url, price: listing.price });
+
+// Fraction the price moved by, when both are amounts for the same period
+function priceChange(before, after) {
+    if (before.priceValue == null || after.priceValue == null || before.pricePeriod !== after.pricePeriod) return null;
+    return Math.round(((after.priceValue - before.priceValue) / before.priceValue) * 1000) / 1000;
+}
+
+/**
+ * Diff of two runs' snapshots. `previous` null (no earlier run) gives a baseline: every listing
+ * counts as new but the summary says it is the first tracked run.
+ */
+function diffListings(previous, current) {
+    const before = new Map((previous || []).map(listing => [listing.id, listing]));
+    const after = new Map(current.map(listing => [listing.id, listing]));
+    const diff = { baseline: !previous, added: [], removed: [], sold: [], priceChanged: [], descriptionChanged: [] };
+
+    for (const listing of after.values()) {
+        const old = before.get(listing.id);
+        if (!old) {
+            diff.added.push(briefOf(listing));
+            continue;
+        }
+        if (SOLD_STATUSES.includes(listing.status) && !SOLD_STATUSES.includes(old.status)) {
+            diff.sold.push({ ...briefOf(listing), status: listing.status });
+        }
+        const priceMoved = old.priceValue != null || listing.priceValue != null
+            ? old.priceValue !== listing.priceValue || old.pricePeriod !== listing.pricePeriod
+            : old.price !== listing.price;
+        if (priceMoved) {
+            diff.priceChanged.push({
+                id: listing.id,
+                title: listing.title,
+                url: listing.url,
+                from: old.price,
+                to: listing.price,
+                fromValue: old.priceValue,
+                toValue: listing.priceValue,
+                change: priceChange(old, listing)
+            });
+        }
+        if (old.descriptionHash && listing.descriptionHash && old.descriptionHash !== listing.descriptionHash) {
+            diff.descriptionChanged.push(briefOf(listing));
+        }
+    }
+    for (const old of before.values()) {
+        if (!after.has(old.id)) diff.removed.push(briefOf(old));
+    }
+    return diff;
+}
+
+function countChanges(diff) {
+    return {
+        added: diff.added.length,
+        removed: diff.removed.length,
+        sold: diff.sold.length,
+        // By amount rather than by `change`, which rounds a 0.01% drop to 0
+        priceDrops: diff.priceChanged.filter(change => change.change != null && change.toValue < change.fromValue).length,
+        priceRises: diff.priceChanged.filter(change => change.change != null && change.toValue > change.fromValue).length,
+        priceChanged: diff.priceChanged.length,
+        descriptionChanged: diff.descriptionChanged.length
+    };
+}
+
+const plural = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+
+// "12 new, 3 sold, 5 price drops, 2 removed"
+function summarizeChanges(diff) {
+    const counts = countChanges(diff);
+    if (diff.baseline) return `${plural(counts.added, 'listing', 'listings')} (first tracked run)`;
+    const otherPriceChanges = counts.priceChanged - counts.priceDrops - counts.priceRises;
+    const parts = [
+        counts.added && `${counts.added} new`,
+        counts.sold && `${counts.sold} sold`,
+        counts.priceDrops && plural(counts.priceDrops, 'price drop', 'price drops'),
+        counts.priceRises && plural(counts.priceRises, 'price increase', 'price increases'),
+        otherPriceChanges && plural(otherPriceChanges, 'other price change', 'other price changes'),
+        counts.removed && `${counts.removed} removed`,
+        counts.descriptionChanged && plural(counts.descriptionChanged, 'description changed', 'descriptions changed')
+    ].filter(Boolean);
+    return parts.length ? parts.join(', ') : 'no changes';
+}
+
+/**
+ * Firestore document for a run: counts, summary and the changed listings (at most
+ * MAX_STORED_CHANGES of each kind; a baseline run stores no listing entries).
+ */
+function changeRecord(diff, { tenantId, runAt, pages = null }) {
+    const entries = kind => (diff.baseline ? [] : diff[kind].slice(0, MAX_STORED_CHANGES));
+    return {
+        tenantId,
+        runAt,
+        baseline: diff.baseline,
+        summary: summarizeChanges(diff),
+        counts: countChanges(diff),
+        pages,
+        added: entries('added'),
+        removed: entries('removed'),
+        sold: entries('sold'),
+        priceChanged: entries('priceChanged'),
+        descriptionChanged: entries('descriptionChanged')
+    };
+}
+
+// Per-tenant collection the scraper writes runs to and the admin API reads
+const listingChangesCollection = tenantId => `listing_changes_${tenantId}`;
+
+module.exports = {
+    hashText,
+    snapshotListing,
+    diffListings,
+    countChanges,
+    summarizeChanges,
+    changeRecord,
+    listingChangesCollection
+};
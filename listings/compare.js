@@ -0,0 +1,95 @@
+const { comparablePrice } = require('./price');
+const { extractPoiDistances } = require('./poi');
+const { formatRupiah } = require('../llm/context-manager');
+
+// Side-by-side comparison of listings (compare_properties): one row per value with `values` for the
+// model, `display` texts for the widget and `best`, the columns with the best value where that is clear
+
+const MAX_COMPARED_LISTINGS = 4;
+
+const CERTIFICATE_LABELS = { shm: 'SHM', hgb: 'HGB', strata: 'Strata title', hak_pakai: 'Hak Pakai', girik: 'Girik', ppjb: 'PPJB', ajb: 'AJB' };
+
+function pricePer(listing, area) {
+    const price = comparablePrice(listing);
+    return price != null && area ? Math.round(price / area) : null;
+}
+
+const isRent = listing => listing.pricePeriod === 'month' || listing.pricePeriod === 'year';
+const formatPerSqm = (value, listing) => `${formatRupiah(value)}/m²${isRent(listing) ? ' per year' : ''}`;
+const formatNumber = value => String(+value.toFixed(1));
+
+const ROWS = [
+    { field: 'price', label: 'Price', value: listing => comparablePrice(listing), display: (value, listing) => listing.price || '-', displayUnknown: true, better: 'lower', isPrice: true },
+    { field: 'pricePerLandSqm', label: 'Price per m² (land)', value: listing => pricePer(listing, listing.landSize), display: formatPerSqm, better: 'lower', isPrice: true },
+    { field: 'pricePerBuildingSqm', label: 'Price per m² (building)', value: listing => pricePer(listing, listing.buildingSize), display: formatPerSqm, better: 'lower', isPrice: true },
+    { field: 'landSize', label: 'Land size', value: listing => listing.landSize, display: value => `${formatNumber(value)} m²`, better: 'higher' },
+    { field: 'buildingSize', label: 'Building size', value: listing => listing.buildingSize, display: value => `${formatNumber(value)} m²`, better: 'higher' },
+    { field: 'bedrooms', label: 'Bedrooms', value: listing => listing.bedrooms, display: String, better: 'higher' },
+    { field: 'bathrooms', label: 'Bathrooms', value: listing => listing.bathrooms, display: String, better: 'higher' },
+    { field: 'certificate', label: 'Certificate', value: listing => listing.certificate, display: value => CERTIFICATE_LABELS[value] || value }
+];
+
+// Columns holding the best of at least two known, differing values
+function bestColumns(values, better) {
+    const known = values.filter(value => value != null);
+    if (known.length < 2 || new Set(known).size === 1) return [];
+    const best = better === 'lower' ? Math.min(...known) : Math.max(...known);
+    return values.map((value, i) => (value === best ? i : null)).filter(i => i !== null);
+}
+
+function poiRows(listings) {
+    const byListing = listings.map(listing => extractPoiDistances(`${listing.poi || ''}. ${listing.description || ''}`));
+    const types = [];
+    byListing.flat().forEach(({ type, label }) => {
+        if (!types.some(t => t.type === type)) types.push({ type, label });
+    });
+
+    return types.map(({ type, label }) => {
+        const entries = byListing.map(pois => pois.find(poi => poi.type === type) || null);
+        const units = new Set(entries.filter(entry => entry?.distance != null).map(entry => entry.unit));
+        return {
+            field: `poi.${type}`,
+            label: `Distance to ${label.toLowerCase()}`,
+            values: entries.map(entry => (entry ? { distance: entry.distance, unit: entry.unit, text: entry.text } : null)),
+            display: entries.map(entry => {
+                if (!entry) return '-';
+                return entry.distance == null ? 'Nearby' : `${formatNumber(entry.distance)} ${entry.unit}`;
+            }),
+            best: units.size === 1 ? bestColumns(entries.map(entry => entry?.distance ?? null), 'lower') : []
+        };
+    });
+}
+
+/**
+ * Comparison of canonical listings: { properties: [{ id, listingId, title, location, url, eflyer,
+ * imageUrl, sourceTenant }], rows: [{ field, label, values, display, best }] }
+ */
+function compareListings(listings) {
+    const samePricing = new Set(listings.map(isRent)).size === 1;
+    const rows = ROWS.map(row => {
+        const values = listings.map(row.value);
+        return {
+            field: row.field,
+            label: row.label,
+            values,
+            display: values.map((value, i) => (value == null && !row.displayUnknown ? '-' : row.display(value, listings[i]))),
+            best: row.better && (samePricing || !row.isPrice) ? bestColumns(values, row.better) : []
+        };
+    });
+
+    return {
+        properties: listings.map(listing => ({
+            id: listing.id,
+            listingId: listing.listingId,
+            title: listing.title,
+            location: listing.location,
+            url: listing.url || null,
+            eflyer: listing.eflyer || null,
+            imageUrl: listing.imageUrl || listing.image || null,
+            sourceTenant: listing.sourceTenant || null
+        })),
+        rows: [...rows, ...poiRows(listings)]
+    };
+}
+
+module.exports = { MAX_COMPARED_LISTINGS, compareListings };
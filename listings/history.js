@@ -0,0 +1,148 @@
+// Listing history: first / last seen, each price offered and each status, a point per change.
+// Kept up to date by whatever writes listings (recordObservation), summarized by marketSummary().
+
+const MAX_PRICE_POINTS = 50;
+const MAX_STATUS_POINTS = 20;
+// Listings gone from the site keep their history this long, in case they are listed again
+const HISTORY_RETENTION_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+/**
+ * Validated copy of a stored history, or null when there is none.
+ */
+function normalizeHistory(raw) {
+    if (!raw || typeof raw !== 'object' || !isDate(raw.firstSeenAt)) return null;
+    const prices = (Array.isArray(raw.prices) ? raw.prices : [])
+        .filter(point => point && isDate(point.at))
+        .map(point => ({
+            price: point.price == null ? '' : String(point.price),
+            priceValue: Number.isFinite(point.priceValue) ? point.priceValue : null,
+            pricePeriod: point.pricePeriod || null,
+            at: point.at
+        }));
+    const statuses = (Array.isArray(raw.statuses) ? raw.statuses : [])
+        .filter(point => point && point.status && isDate(point.at))
+        .map(point => ({ status: String(point.status), at: point.at }));
+    return {
+        firstSeenAt: raw.firstSeenAt,
+        lastSeenAt: isDate(raw.lastSeenAt) ? raw.lastSeenAt : raw.firstSeenAt,
+        prices,
+        statuses
+    };
+}
+
+// Amounts are compared when either side has one, the text otherwise ("Hubungi agen")
+function samePrice(a, b) {
+    if (a.priceValue != null || b.priceValue != null) return a.priceValue === b.priceValue && a.pricePeriod === b.pricePeriod;
+    return a.price === b.price;
+}
+
+// The first point (original asking price / status) is always kept
+const capPoints = (points, max) => (points.length > max ? [points[0], ...points.slice(-(max - 1))] : points);
+
+/**
+ * History updated with one observation of a normalized listing at `at` (ISO).
+ */
+function recordObservation(history, listing, at) {
+    const current = normalizeHistory(history) || { firstSeenAt: at, lastSeenAt: at, prices: [], statuses: [] };
+    const price = { price: listing.price || '', priceValue: listing.priceValue ?? null, pricePeriod: listing.pricePeriod || null, at };
+    const status = listing.status || 'active';
+
+    const lastPrice = current.prices[current.prices.length - 1];
+    const lastStatus = current.statuses[current.statuses.length - 1];
+    return {
+        firstSeenAt: current.firstSeenAt,
+        lastSeenAt: at,
+        prices: capPoints(lastPrice && samePrice(lastPrice, price) ? current.prices : [...current.prices, price], MAX_PRICE_POINTS),
+        statuses: capPoints(lastStatus && lastStatus.status === status ? current.statuses : [...current.statuses, { status, at }], MAX_STATUS_POINTS)
+    };
+}
+
+/**
+ * Histories for a scrape run: every listing observed at `at`, listings gone since the last run
+ * marked 'removed'. `previous` maps listing id -> history. Returns { listings (with history),
+ * histories } - histories also holds removed listings seen within HISTORY_RETENTION_DAYS.
+ */
+function applyHistory(listings, previous, at) {
+    const histories = {};
+    const observed = listings.map(listing => {
+        const history = recordObservation(previous?.[listing.id], listing, at);
+        histories[listing.id] = history;
+        return { ...listing, history };
+    });
+
+    const cutoff = Date.parse(at) - HISTORY_RETENTION_DAYS * DAY_MS;
+    for (const [id, raw] of Object.entries(previous || {})) {
+        const history = normalizeHistory(raw);
+        if (histories[id] || !history || Date.parse(history.lastSeenAt) < cutoff) continue;
+        const lastStatus = history.statuses[history.statuses.length - 1];
+        histories[id] = lastStatus?.status === 'removed'
+            ? history
+            : { ...history, statuses: capPoints([...history.statuses, { status: 'removed', at }], MAX_STATUS_POINTS) };
+    }
+    return { listings: observed, histories };
+}
+
+// "today", "yesterday", "5 days ago", "last week", "3 weeks ago", "last month", "4 months ago", "last year"
+function relativeTime(days) {
+    if (days < 1) return 'today';
+    if (days < 2) return 'yesterday';
+    if (days < 7) return `${Math.floor(days)} days ago`;
+    if (days < 14) return 'last week';
+    if (days < 31) return `${Math.floor(days / 7)} weeks ago`;
+    if (days < 62) return 'last month';
+    if (days < 365) return `${Math.floor(days / 30.44)} months ago`;
+    return days < 730 ? 'last year' : `${Math.floor(days / 365)} years ago`;
+}
+
+// Change from the last earlier amount for the same period to the current one, past any "Hubungi
+// agen" in between; null when the current price has no amount or the amount is back where it was
+function lastPriceChange(prices) {
+    const after = prices[prices.length - 1];
+    if (!after?.priceValue) return null;
+    for (let i = prices.length - 2; i >= 0; i--) {
+        const before = prices[i];
+        if (!before.priceValue || before.pricePeriod !== after.pricePeriod) continue;
+        if (before.priceValue === after.priceValue) return null;
+        return { from: before.price, to: after.price, change: Math.round(((after.priceValue - before.priceValue) / before.priceValue) * 1000) / 1000, at: after.at };
+    }
+    return null;
+}
+
+/**
+ * Time on market and the last price change of a listing, for the assistant:
+ * { listedSince, daysOnMarket, priceChange: { from, to, change, at } | null, note } or null when
+ * neither a listing date nor a history is known. listedSince is the earlier of the published
+ * date and the first sighting.
+ */
+function marketSummary(listing, now = Date.now()) {
+    const history = normalizeHistory(listing.history);
+    const dates = [listing.listedAt, history?.firstSeenAt].filter(isDate).map(Date.parse);
+    if (dates.length === 0) return null;
+
+    const since = Math.min(...dates);
+    const daysOnMarket = Math.max(0, Math.floor((now - since) / DAY_MS));
+    const priceChange = history ? lastPriceChange(history.prices) : null;
+
+    const notes = [daysOnMarket === 0 ? 'listed today' : daysOnMarket === 1 ? 'listed yesterday' : `listed ${daysOnMarket} days ago`];
+    // Changes under 0.5% are left out of the note rather than shown as "0%"
+    const percent = priceChange ? Math.round(Math.abs(priceChange.change) * 100) : 0;
+    if (percent > 0) {
+        notes.push(`price ${priceChange.change < 0 ? 'reduced' : 'increased'} ${percent}% ${relativeTime((now - Date.parse(priceChange.at)) / DAY_MS)}`);
+    }
+    return {
+        listedSince: new Date(since).toISOString().slice(0, 10),
+        daysOnMarket,
+        priceChange,
+        note: notes.join(', ')
+    };
+}
+
+module.exports = {
+    normalizeHistory,
+    recordObservation,
+    applyHistory,
+    marketSummary
+};
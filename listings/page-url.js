@@ -0,0 +1,70 @@
+// Listing id from the URL of the page a visitor is on, per tenant URL patterns ("/properti/{id}",
+// "?id={id}"; "*" is any text within a segment), tried in order; DEFAULT_URL_PATTERNS otherwise
+
+const DEFAULT_URL_PATTERNS = ['/properti/{id}', '/property/{id}', '/listing/{id}', '?id={id}', '?propertyid={id}'];
+const MAX_URL_PATTERNS = 20;
+
+const escapeRegExp = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+// Throws on a pattern that can't be used, with a message fit for the admin API
+function compileUrlPattern(pattern) {
+    if (typeof pattern !== 'string' || pattern.split('{id}').length !== 2) {
+        throw new Error(`URL pattern "${pattern}" must contain {id} exactly once`);
+    }
+    const query = pattern.match(/^\?([\w.-]+)=\{id\}$/);
+    if (query) {
+        return { pattern, param: query[1].toLowerCase() };
+    }
+    if (!pattern.startsWith('/')) {
+        throw new Error(`URL pattern "${pattern}" must start with "/" (path) or "?" (query parameter)`);
+    }
+    const source = pattern
+        .split('{id}')
+        .map(part => part.split('*').map(escapeRegExp).join('[^/]*'))
+        .join('([^/?#]+)');
+    return { pattern, regex: new RegExp(source, 'i') };
+}
+
+const compileUrlPatterns = patterns => patterns.map(compileUrlPattern);
+
+const DEFAULT_COMPILED = compileUrlPatterns(DEFAULT_URL_PATTERNS);
+
+function safeDecode(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+// Listing id in `url` per the compiled patterns (default ones when none), or null
+function extractListingId(url, compiled = DEFAULT_COMPILED) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return null;
+    }
+    for (const { param, regex } of compiled) {
+        if (param) {
+            const entry = [...parsed.searchParams].find(([name, value]) => name.toLowerCase() === param && value.trim());
+            if (entry) return entry[1].trim();
+        } else {
+            const match = parsed.pathname.match(regex);
+            if (match) return safeDecode(match[1]);
+        }
+    }
+    return null;
+}
+
+// URL reduced for comparing a page with a listing's url (no protocol, www, query, hash or trailing slash)
+function pageKey(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = { DEFAULT_URL_PATTERNS, MAX_URL_PATTERNS, compileUrlPatterns, extractListingId, pageKey };
@@ -0,0 +1,54 @@
+// Distances to points of interest read from listing text ("5 menit ke Tol JORR", "300m ke Stasiun MRT"):
+// km or minutes per key POI type, null when the text names the POI without a distance
+
+// Key POI types, checked in order; the first type matching a phrase wins
+const POI_TYPES = [
+    { type: 'toll', label: 'Toll road', pattern: /\b(tol|toll|jorr)\b/ },
+    { type: 'station', label: 'Station', pattern: /\b(stasiun|station|mrt|lrt|krl|commuter ?line|busway|transjakarta)\b/ },
+    { type: 'airport', label: 'Airport', pattern: /\b(bandara|airport|soekarno hatta|soetta|halim)\b/ },
+    { type: 'hospital', label: 'Hospital', pattern: /\b(rumah sakit|rs|hospital|klinik|clinic|siloam|mayapada|mitra keluarga)\b/ },
+    { type: 'school', label: 'School', pattern: /\b(sekolah|school|kampus|campus|universitas|university|binus|jis|sd|smp|sma)\b/ },
+    { type: 'mall', label: 'Mall', pattern: /\b(mall|mal|plaza|supermarket|hypermart|pasar|market|aeon|ikea)\b/ }
+];
+
+const PHRASE_SEPARATOR = /[;\n•|]+|[,.](?!\d)|\s-\s|\bdan\b|\band\b/; // Not the separator in "2,5 km"
+const DISTANCE_PATTERN = /(\d+(?:[.,]\d+)?)\s*(kilometer|km|meter|mtr|m|menit|mnt|minutes|minute|mins|min|jam|hours|hour)\b/;
+const PRICE_PATTERN = /rp\.?\s*[\d.,]+\s*[a-z]*/g; // "Rp 5 M" is not 5 metres
+const MAX_PHRASE_LENGTH = 80;
+
+// "2 km" -> { distance: 2, unit: 'km' }, "300m" -> 0.3 km, "1 jam" -> 60 min
+function parseDistance(phrase) {
+    const match = phrase.replace(PRICE_PATTERN, ' ').match(DISTANCE_PATTERN);
+    if (!match) return { distance: null, unit: null };
+    const value = parseFloat(match[1].replace(',', '.'));
+    const unit = match[2];
+    if (/^(kilometer|km)$/.test(unit)) return { distance: value, unit: 'km' };
+    if (/^(meter|mtr|m)$/.test(unit)) return { distance: value / 1000, unit: 'km' };
+    if (/^(jam|hours|hour)$/.test(unit)) return { distance: value * 60, unit: 'min' };
+    return { distance: value, unit: 'min' };
+}
+
+/**
+ * Key POIs in a text: [{ type, label, distance, unit, text }], one per type - the nearest stated
+ * distance (km before minutes), or the first mention when no distance is given.
+ */
+function extractPoiDistances(text) {
+    const byType = new Map();
+    const phrases = String(text || '').split(PHRASE_SEPARATOR).map(phrase => phrase.trim()).filter(Boolean);
+    for (const phrase of phrases) {
+        const lower = phrase.toLowerCase();
+        const poiType = POI_TYPES.find(({ pattern }) => pattern.test(lower));
+        if (!poiType) continue;
+
+        const entry = { type: poiType.type, label: poiType.label, ...parseDistance(lower), text: phrase.slice(0, MAX_PHRASE_LENGTH) };
+        const current = byType.get(poiType.type);
+        const closer = current && entry.distance != null && (
+            current.distance == null ||
+            (entry.unit === current.unit ? entry.distance < current.distance : entry.unit === 'km')
+        );
+        if (!current || closer) byType.set(poiType.type, entry);
+    }
+    return POI_TYPES.map(({ type }) => byType.get(type)).filter(Boolean);
+}
+
+module.exports = { POI_TYPES, extractPoiDistances };
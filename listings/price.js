@@ -0,0 +1,137 @@
+// Listing prices from free text ("Rp. 1,4 Milyar (nego)", "Rp. 360 Juta/tahun", "Hubungi Agen") to
+// priceValue (IDR), pricePeriod, negotiable and priceOnRequest. "M" is miliar, "jt" juta, "rb" ribu;
+// prices per m² and in other currencies keep priceValue null.
+
+const PRICE_PERIODS = ['one_off', 'month', 'year'];
+
+const UNITS = [
+    { pattern: /^(milyar|miliar|milyard|miliard|billion|bn|m|b)$/, multiplier: 1e9 },
+    { pattern: /^(juta|jt|jta|million|mio)$/, multiplier: 1e6 },
+    { pattern: /^(ribu|rb|k)$/, multiplier: 1e3 }
+];
+
+const AMOUNT_PATTERN = /(\d[\d.,]*)\s*(milyard|miliard|milyar|miliar|billion|million|juta|ribu|jta|jt|mio|bn|rb|m|b|k)?(?![a-z])/g;
+const RANGE_SEPARATOR = /^\s*(-|–|s\/d|sd|sampai|hingga|to)\s*$/;
+
+const MONTH_PATTERN = /(\/|per|setiap)\s*(bulan|bln|bl|month|mo)\b|perbulan|sebulan|monthly|\/\s*bulan/;
+const YEAR_PATTERN = /(\/|per|setiap)\s*(tahun|thn|th|year|yr|annum)\b|pertahun|setahun|yearly|annually|p\.a\./;
+const PER_AREA_PATTERN = /(\/|per)\s*(m2|m²|meter|sqm)/;
+const FOREIGN_CURRENCY_PATTERN = /usd|us\$|\$|sgd|eur|€/;
+const NEGOTIABLE_PATTERN = /\bnego\b|nego(tiable|siasi)|\bdinego\b/;
+const ON_REQUEST_PATTERN = /contact|hubungi|call|on request|by request|upon request|tanya|price on application|\bpoa\b|rahasia/;
+
+// "7.750.000.000", "1,400,000,000", "1,4", "2.5" -> number. With a unit a single separator is
+// decimal ("1,4 Milyar"); without one it is a thousands separator when 3 digits follow ("750.000").
+function parseNumber(raw, hasUnit) {
+    const text = raw.replace(/[.,]+$/, '');
+    const dots = (text.match(/\./g) || []).length;
+    const commas = (text.match(/,/g) || []).length;
+
+    if (dots > 0 && commas > 0) {
+        // Both used: the last one is the decimal separator
+        const decimal = text.lastIndexOf('.') > text.lastIndexOf(',') ? '.' : ',';
+        const thousands = decimal === '.' ? /,/g : /\./g;
+        return parseFloat(text.replace(thousands, '').replace(decimal, '.'));
+    }
+    if (dots > 1 || commas > 1) {
+        return parseFloat(text.replace(/[.,]/g, ''));
+    }
+    if (dots === 1 || commas === 1) {
+        const [whole, fraction] = text.split(/[.,]/);
+        if (!hasUnit && fraction.length === 3) {
+            return parseFloat(whole + fraction);
+        }
+        return parseFloat(`${whole}.${fraction}`);
+    }
+    return parseFloat(text);
+}
+
+function unitMultiplier(unit) {
+    if (!unit) return 1;
+    const match = UNITS.find(({ pattern }) => pattern.test(unit));
+    return match ? match.multiplier : 1;
+}
+
+// First amount in the text, in IDR. A range ("Rp 2 - 2,5 M") resolves to its lower bound.
+function parseAmount(text) {
+    const matches = [...text.matchAll(AMOUNT_PATTERN)];
+    if (matches.length === 0) return null;
+
+    const [first, second] = matches;
+    let unit = first[2];
+    if (!unit && second?.[2]) {
+        const between = text.slice(first.index + first[0].length, second.index);
+        if (RANGE_SEPARATOR.test(between)) unit = second[2];
+    }
+
+    const value = parseNumber(first[1], !!unit) * unitMultiplier(unit);
+    return Number.isFinite(value) && value > 0 ? Math.round(value) : null;
+}
+
+/**
+ * Parse a listing price. `listingType` ('Rent' / 'Sale') fills in the period when the text has none.
+ */
+function parsePrice(price, listingType) {
+    const text = String(price || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    const isRent = /rent|sewa/i.test(listingType || '');
+    const result = {
+        priceValue: null,
+        pricePeriod: isRent ? 'year' : 'one_off',
+        negotiable: NEGOTIABLE_PATTERN.test(text),
+        priceOnRequest: false
+    };
+    if (!text) return result;
+
+    if (MONTH_PATTERN.test(text)) {
+        result.pricePeriod = 'month';
+    } else if (YEAR_PATTERN.test(text)) {
+        result.pricePeriod = 'year';
+    }
+
+    if (PER_AREA_PATTERN.test(text) || FOREIGN_CURRENCY_PATTERN.test(text)) {
+        return result;
+    }
+
+    // An amount wins over on-request wording around it ("Rp 950 Juta Call")
+    result.priceValue = parseAmount(text);
+    result.priceOnRequest = result.priceValue == null && (!/\d/.test(text) || ON_REQUEST_PATTERN.test(text));
+    return result;
+}
+
+// Listing with its price fields (re)computed from `price` and `type`
+function normalizeListingPrice(listing) {
+    return { ...listing, ...parsePrice(listing.price, listing.type) };
+}
+
+function convertPeriod(value, from, to) {
+    if (from === to) return value;
+    return from === 'month' ? value * 12 : value / 12;
+}
+
+// Amount on one scale for sorting: one-off prices as they are, rents per year
+function comparablePrice(listing) {
+    if (listing.priceValue == null) return null;
+    return listing.pricePeriod === 'month' ? listing.priceValue * 12 : listing.priceValue;
+}
+
+/**
+ * Whether a normalized listing fits a budget (minPrice and/or maxPrice). A purchase budget
+ * (period 'one_off') only matches one-off prices and a rent budget ('month' / 'year') only matches
+ * rent prices, converted to the budget's period. Listings without an amount (price on request,
+ * unparseable) are kept, listings without any price text are not.
+ */
+function isWithinBudget(listing, { minPrice, maxPrice, budgetPeriod = 'one_off' }) {
+    if (!minPrice && !maxPrice) return true;
+    if (listing.priceValue == null) {
+        return !!(listing.priceOnRequest || listing.price);
+    }
+
+    const listingPeriod = listing.pricePeriod || 'one_off';
+    if ((listingPeriod === 'one_off') !== (budgetPeriod === 'one_off')) {
+        return false;
+    }
+    const price = convertPeriod(listing.priceValue, listingPeriod, budgetPeriod);
+    return (!maxPrice || price <= maxPrice) && (!minPrice || price >= minPrice);
+}
+
+module.exports = { PRICE_PERIODS, parsePrice, normalizeListingPrice, comparablePrice, isWithinBudget };
@@ -0,0 +1,482 @@
+const { parsePrice } = require('./price');
+const { tagLocation } = require('../search/gazetteer');
+const { normalizeHistory } = require('./history');
+
+// Canonical listing schema and the normalizer every source (scraper, office JSON, Firestore, imports)
+// goes through; the fields are listed in the README. Records without an id or without both title and
+// location are rejected, records missing recommended fields are kept and reported as partial.
+
+// 1 initial, 2 furnished and listedAt, 3 areas, 4 certificate, 5 priceCurrency, address, geo and
+// provenance, 6 maidRooms, carports, garages, floors, electricity, facing and facilities, 7 history
+const LISTING_SCHEMA_VERSION = 7;
+const CATEGORIES = ['rumah', 'apartemen', 'ruko', 'tanah', 'gedung', 'other'];
+const STATUSES = ['active', 'under_offer', 'sold', 'rented', 'inactive'];
+const FURNISHING = ['furnished', 'semi_furnished', 'unfurnished'];
+// SHM (hak milik), HGB (hak guna bangunan), strata (SHM sarusun, apartments), hak pakai,
+// girik (unregistered land), PPJB / AJB (sale agreement or deed only)
+const CERTIFICATES = ['shm', 'hgb', 'strata', 'hak_pakai', 'girik', 'ppjb', 'ajb'];
+const FACINGS = ['north', 'south', 'east', 'west', 'northeast', 'northwest', 'southeast', 'southwest'];
+const MAX_FACILITIES = 30;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_REPORTED_ISSUES = 50;
+
+// Source field names per canonical field, first non-empty wins
+const FIELD_ALIASES = {
+    id: ['id', 'listingId', 'listing_id', 'propertyId'],
+    listingId: ['listingId', 'listing_id'],
+    title: ['title', 'name', 'judul'],
+    location: ['location', 'address', 'alamat', 'lokasi'],
+    description: ['description', 'deskripsi', 'desc'],
+    poi: ['poi', 'nearby'],
+    url: ['url', 'link', 'href'],
+    eflyer: ['eflyer', 'eFlyer', 'flyer'],
+    price: ['price', 'harga'],
+    priceCurrency: ['priceCurrency', 'currency', 'price_currency'],
+    type: ['listingType', 'type', 'transaction', 'offer_type'],
+    status: ['status', 'listingStatus'],
+    category: ['category', 'property_category', 'propertyType', 'property_type'],
+    bedrooms: ['bedrooms', 'kamar_tidur', 'kt', 'KT', 'beds'],
+    bathrooms: ['bathrooms', 'kamar_mandi', 'km', 'KM', 'baths'],
+    landSize: ['landSize', 'land_size', 'luas_tanah', 'lt', 'LT'],
+    buildingSize: ['buildingSize', 'building_size', 'luas_bangunan', 'lb', 'LB'],
+    maidRooms: ['maidRooms', 'maid_rooms', 'kamar_pembantu'],
+    carports: ['carports', 'carport'],
+    garages: ['garages', 'garage', 'garasi'],
+    floors: ['floors', 'jumlah_lantai', 'lantai'],
+    electricity: ['electricity', 'listrik', 'daya_listrik'],
+    facing: ['facing', 'hadap', 'orientation'],
+    facilities: ['facilities', 'fasilitas', 'features'],
+    furnished: ['furnished', 'furnishing', 'perabot'],
+    certificate: ['certificate', 'certificateType', 'sertifikat', 'legalitas'],
+    listedAt: ['listedAt', 'listed_at', 'publishedAt', 'published_at', 'createdAt', 'created_at', 'date'],
+    agentName: ['agentName', 'agent_name'],
+    agentPhone: ['agentPhone', 'agent_phone'],
+    agentEmail: ['agentEmail', 'agent_email'],
+    officeName: ['officeName', 'office_name']
+};
+
+// Checked in order against title + location; the first match wins
+const CATEGORY_PATTERNS = [
+    ['apartemen', /apartemen|apartment|apartement|\bapt\b|kondominium|condominium|\bcondo\b/],
+    ['ruko', /\bruko\b|\brukan\b|shophouse|shop house/],
+    ['gedung', /gedung|kantor|\boffice\b|building|gudang|warehouse|pabrik|factory/],
+    ['rumah', /rumah|\bhouse\b|townhouse|\bvilla\b|\bhome\b/],
+    ['tanah', /\btanah\b|kavling|kaveling|\bland\b|\blahan\b/]
+];
+
+const STATUS_PATTERNS = [
+    ['sold', /sold|terjual|laku/],
+    ['rented', /rented|tersewa|leased/],
+    ['under_offer', /under offer|under_offer|booked|dp masuk/],
+    ['inactive', /inactive|withdrawn|off market|expired|draft|tidak aktif/],
+    ['active', /active|aktif|available|tersedia/]
+];
+
+// Checked in order against the source's furnishing field, then title + description
+const FURNISHING_PATTERNS = [
+    ['semi_furnished', /semi[\s-]?furnish|semi[\s-]?furnis/],
+    ['unfurnished', /unfurnish|non[\s-]?furnish|tanpa perabot|kosongan/],
+    ['furnished', /furnish|furnis|perabot lengkap|full perabot/]
+];
+
+// Checked in order against the source's certificate field, then title + description
+const CERTIFICATE_PATTERNS = [
+    ['strata', /strata|sarusun|shm\s?-?\s?srs|\bsrs\b/],
+    ['hgb', /\bs?hgb\b|hak guna bangunan/],
+    ['shm', /\bshm\b|hak milik/],
+    ['hak_pakai', /hak pakai|\bshp\b/],
+    ['girik', /girik|letter c|petok d/],
+    ['ppjb', /\bppjb\b/],
+    ['ajb', /\bajb\b/]
+];
+
+// Checked in order against a facing value; compound directions before their parts
+const FACING_PATTERNS = [
+    ['northeast', /timur\s*laut|north\s*-?\s*east|^ne$|^tl$/],
+    ['northwest', /barat\s*laut|north\s*-?\s*west|^nw$|^bl$/],
+    ['southeast', /tenggara|south\s*-?\s*east|^se$/],
+    ['southwest', /barat\s*daya|south\s*-?\s*west|^sw$|^bd$/],
+    ['north', /utara|north|^n$|^u$/],
+    ['south', /selatan|south|^s$/],
+    ['east', /timur|east|^e$|^t$/],
+    ['west', /barat|west|^w$|^b$/]
+];
+
+const PLACEHOLDER_IMAGE = /via\.placeholder\.com/;
+const ADDRESS_PARTS = ['street', 'locality', 'region', 'postalCode', 'country'];
+
+// Listings that can still be offered to visitors
+const isAvailable = listing => listing.status === 'active' || listing.status === 'under_offer';
+
+function pick(raw, field) {
+    for (const key of FIELD_ALIASES[field]) {
+        const value = raw[key];
+        if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return null;
+}
+
+const cleanText = value => (value == null ? '' : String(value).replace(/\s+/g, ' ').trim());
+
+// "150 m²", "1.250 m2", "1,5 ha", "5 are", 150 -> square metres
+function parseArea(value) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : null;
+    const text = String(value).toLowerCase();
+    const match = text.match(/(\d+(?:[.,]\d+)*)/);
+    if (!match) return null;
+    let number = match[1];
+    // A single separator followed by 3 digits is a thousands separator ("1.250 m2")
+    number = /^\d+[.,]\d{3}$/.test(number) || /[.,].*[.,]/.test(number)
+        ? number.replace(/[.,]/g, '')
+        : number.replace(',', '.');
+    const unit = /\bha\b|hektar/.test(text) ? 10000 : (/\d\s*are\b/.test(text) ? 100 : 1);
+    const area = parseFloat(number) * unit;
+    return Number.isFinite(area) && area > 0 ? area : null;
+}
+
+// 3, "3", "3+1" (3 bedrooms + maid's room) -> 3; "ada" / "yes" (a carport, no count given) -> 1
+function parseCount(value) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number') return Number.isInteger(value) && value >= 0 ? value : null;
+    const match = String(value).match(/\d+/);
+    if (!match) return /^\s*(ada|yes|ya)\s*$/i.test(String(value)) ? 1 : null;
+    return Number(match[0]);
+}
+
+// The maid's rooms of a "3+1" bedroom count -> 1; null without a "+N"
+function parseExtraRooms(value) {
+    const match = String(value ?? '').match(/\d+\s*\+\s*(\d+)/);
+    return match ? Number(match[1]) : null;
+}
+
+// "2 Lantai", "1,5", 3 -> number of floors (half floors / mezzanines kept)
+function parseFloors(value) {
+    if (value == null || value === '') return null;
+    const match = String(value).match(/\d+(?:[.,]5)?/);
+    const floors = match ? parseFloat(match[0].replace(',', '.')) : null;
+    return floors > 0 && floors < 100 ? floors : null;
+}
+
+// "2200 VA", "2.200 Watt", "5,5 kVA", 3500 -> VA
+function parseElectricity(value) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number') return value > 0 ? value : null;
+    const text = String(value).toLowerCase();
+    const match = text.match(/(\d+(?:[.,]\d+)*)\s*(kva|kw|va|watt|w)?\b/);
+    if (!match) return null;
+    const isKilo = /^k/.test(match[2] || '');
+    // "2.200" is thousands, "5,5 kVA" decimal
+    const number = /^\d{1,3}([.,]\d{3})+$/.test(match[1]) && !isKilo
+        ? parseFloat(match[1].replace(/[.,]/g, ''))
+        : parseFloat(match[1].replace(',', '.'));
+    const va = Math.round(number * (isKilo ? 1000 : 1));
+    return va >= 100 ? va : null;
+}
+
+// "Timur Laut", "north-east", "Utara" -> one of FACINGS
+function parseFacing(value) {
+    const text = cleanText(value).toLowerCase().replace(/^(hadap|menghadap|arah|facing)\s+/, '');
+    if (!text) return null;
+    if (FACINGS.includes(text.replace(/[\s-]/g, ''))) return text.replace(/[\s-]/g, '');
+    const match = FACING_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : null;
+}
+
+// "Kolam renang, Taman; CCTV" or an array -> ["Kolam renang", "Taman", "CCTV"]
+function parseFacilities(value) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(/[,;\n•|]+/);
+    return [...new Set(items.map(cleanText).filter(item => item && item.length <= 60))].slice(0, MAX_FACILITIES);
+}
+
+// The source's own type wins; otherwise the title ("Disewakan ...") or URL decides
+function normalizeListingType(raw, title, url) {
+    const text = cleanText(pick(raw, 'type') || title).toLowerCase();
+    if (/rent|sewa|lease/.test(text) || /\/rent\//.test(url)) return 'rent';
+    return 'sale';
+}
+
+function normalizeCategory(raw, title, location) {
+    const given = cleanText(pick(raw, 'category')).toLowerCase();
+    if (CATEGORIES.includes(given)) return given;
+    const text = `${given} ${title} ${location}`.toLowerCase();
+    const match = CATEGORY_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : 'other';
+}
+
+function normalizeStatus(raw, title) {
+    const given = cleanText(pick(raw, 'status')).toLowerCase();
+    const match = STATUS_PATTERNS.find(([, pattern]) => pattern.test(given)) ||
+        (/\b(sold|terjual)\b/i.test(title) ? ['sold'] : null);
+    return match ? match[0] : 'active';
+}
+
+// "Semi Furnished", "kosongan", true -> one of FURNISHING
+function parseFurnishing(value) {
+    if (typeof value === 'boolean') return value ? 'furnished' : 'unfurnished';
+    const text = cleanText(value).toLowerCase();
+    if (FURNISHING.includes(text.replace(/[\s-]+/g, '_'))) return text.replace(/[\s-]+/g, '_');
+    const match = FURNISHING_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : null;
+}
+
+// "SHM", "Hak Guna Bangunan", "SHM SRS" -> one of CERTIFICATES
+function parseCertificate(value) {
+    const text = cleanText(value).toLowerCase();
+    if (CERTIFICATES.includes(text)) return text;
+    const match = CERTIFICATE_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : null;
+}
+
+function normalizeFurnishing(raw, title, description) {
+    return parseFurnishing(pick(raw, 'furnished')) || parseFurnishing(`${title} ${description}`);
+}
+
+function normalizeCertificate(raw, title, description) {
+    return parseCertificate(pick(raw, 'certificate')) || parseCertificate(`${title} ${description}`);
+}
+
+// Firestore Timestamp, Date, epoch ms or date string -> ISO string
+function normalizeDate(value) {
+    if (value == null || value === '') return null;
+    const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function normalizeMedia(raw) {
+    const urls = [];
+    const add = item => {
+        const url = typeof item === 'string' ? item : item?.url;
+        if (url && !PLACEHOLDER_IMAGE.test(url) && !urls.includes(url)) urls.push(url);
+    };
+    (Array.isArray(raw.media) ? raw.media : []).forEach(add);
+    [raw.imageUrl, raw.image, raw.image_url, raw.thumbnail].forEach(add);
+    [raw.images, raw.photos].forEach(list => Array.isArray(list) && list.forEach(add));
+    return urls.map(url => ({ type: 'image', url }));
+}
+
+function normalizeCurrency(raw, price) {
+    const given = cleanText(pick(raw, 'priceCurrency')).toUpperCase();
+    if (/^[A-Z]{3}$/.test(given)) return given;
+    return /^\s*(rp|idr)\b/i.test(price) ? 'IDR' : null;
+}
+
+// { street, locality, region, postalCode, country } from an address object (ours or schema.org PostalAddress)
+function normalizeAddress(raw) {
+    const address = raw.address && typeof raw.address === 'object' ? raw.address : null;
+    if (!address) return null;
+    const parts = {
+        street: cleanText(address.street || address.streetAddress),
+        locality: cleanText(address.locality || address.addressLocality),
+        region: cleanText(address.region || address.addressRegion),
+        postalCode: cleanText(address.postalCode),
+        country: cleanText(address.country || address.addressCountry)
+    };
+    if (!ADDRESS_PARTS.some(part => parts[part])) return null;
+    return Object.fromEntries(ADDRESS_PARTS.map(part => [part, parts[part] || null]));
+}
+
+// { lat, lng } from geo / latitude + longitude fields, null when missing or out of range
+function normalizeGeo(raw) {
+    const geo = raw.geo && typeof raw.geo === 'object' ? raw.geo : raw;
+    const lat = parseFloat(geo.lat ?? geo.latitude);
+    const lng = parseFloat(geo.lng ?? geo.lon ?? geo.longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180 || (lat === 0 && lng === 0)) {
+        return null;
+    }
+    return { lat, lng };
+}
+
+function normalizeAgent(raw) {
+    const agent = raw.agent && typeof raw.agent === 'object' ? raw.agent : {};
+    const name = cleanText(agent.name || (typeof raw.agent === 'string' ? raw.agent : pick(raw, 'agentName')));
+    const phone = cleanText(agent.phone || pick(raw, 'agentPhone'));
+    const email = cleanText(agent.email || pick(raw, 'agentEmail'));
+    return name || phone || email ? { name: name || null, phone: phone || null, email: email || null } : null;
+}
+
+function normalizeOffice(raw, tenantId, link) {
+    const office = raw.office && typeof raw.office === 'object' ? raw.office : {};
+    let origin = office.url || null;
+    if (!origin && link) {
+        try {
+            origin = new URL(link).origin;
+        } catch (e) {
+            origin = null;
+        }
+    }
+    return {
+        tenantId: office.tenantId || tenantId || null,
+        name: cleanText(office.name || (typeof raw.office === 'string' ? raw.office : pick(raw, 'officeName'))) || null,
+        url: origin
+    };
+}
+
+/**
+ * Map one source record to the canonical schema.
+ * Returns { listing, problems, rejected }: `problems` lists what is missing or could not be parsed.
+ */
+function normalizeListing(raw, { tenantId = null, source = null } = {}) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { listing: null, problems: ['not an object'], rejected: true };
+    }
+
+    const problems = [];
+    const url = cleanText(pick(raw, 'url'));
+    const title = cleanText(pick(raw, 'title'));
+    const address = normalizeAddress(raw);
+    const rawLocation = pick(raw, 'location');
+    const location = typeof rawLocation === 'object' && rawLocation !== null
+        ? [address?.street, address?.locality, address?.region].filter(Boolean).join(', ')
+        : cleanText(rawLocation);
+    let id = pick(raw, 'id');
+    if (id == null && url) {
+        id = url.split('/').filter(Boolean).pop();
+    }
+
+    if (id == null) problems.push('missing id');
+    if (!title && !location) problems.push('missing title and location');
+    if (problems.length > 0) {
+        return { listing: null, problems, rejected: true };
+    }
+
+    let description = cleanText(pick(raw, 'description'));
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+        description = description.substring(0, MAX_DESCRIPTION_LENGTH) + '...';
+    }
+
+    const listingType = normalizeListingType(raw, title, url);
+    const price = cleanText(pick(raw, 'price'));
+    const priceCurrency = normalizeCurrency(raw, price);
+    const parsedPrice = parsePrice(price, listingType);
+    if (priceCurrency && priceCurrency !== 'IDR') parsedPrice.priceValue = null;
+    const media = normalizeMedia(raw);
+    const rawLandSize = pick(raw, 'landSize');
+    const rawBuildingSize = pick(raw, 'buildingSize');
+    const locationAreas = tagLocation(location);
+
+    const listing = {
+        schemaVersion: LISTING_SCHEMA_VERSION,
+        id: String(id),
+        listingId: pick(raw, 'listingId') != null ? String(pick(raw, 'listingId')) : String(id),
+        title,
+        location,
+        areas: locationAreas.length > 0 ? locationAreas : tagLocation(title),
+        description,
+        poi: cleanText(pick(raw, 'poi')),
+        url: url || null,
+        eflyer: cleanText(pick(raw, 'eflyer')) || null,
+        category: normalizeCategory(raw, title, location),
+        listingType,
+        type: listingType === 'rent' ? 'Rent' : 'Sale',
+        status: normalizeStatus(raw, title),
+        price,
+        ...parsedPrice,
+        priceCurrency,
+        address,
+        geo: normalizeGeo(raw),
+        bedrooms: parseCount(pick(raw, 'bedrooms')),
+        bathrooms: parseCount(pick(raw, 'bathrooms')),
+        landSize: parseArea(rawLandSize),
+        buildingSize: parseArea(rawBuildingSize),
+        maidRooms: parseCount(pick(raw, 'maidRooms')) ?? parseExtraRooms(pick(raw, 'bedrooms')),
+        carports: parseCount(pick(raw, 'carports')),
+        garages: parseCount(pick(raw, 'garages')),
+        floors: parseFloors(pick(raw, 'floors')),
+        electricity: parseElectricity(pick(raw, 'electricity')),
+        facing: parseFacing(pick(raw, 'facing')),
+        facilities: parseFacilities(pick(raw, 'facilities')),
+        furnished: normalizeFurnishing(raw, title, description),
+        certificate: normalizeCertificate(raw, title, description),
+        listedAt: normalizeDate(pick(raw, 'listedAt')),
+        media,
+        imageUrl: media[0]?.url || null,
+        agent: normalizeAgent(raw),
+        office: normalizeOffice(raw, tenantId, url || cleanText(pick(raw, 'eflyer'))),
+        source: raw.source || source,
+        provenance: raw.provenance && typeof raw.provenance === 'object' ? raw.provenance : null,
+        history: normalizeHistory(raw.history)
+    };
+
+    if (!title) problems.push('missing title');
+    if (!location) problems.push('missing location');
+    if (!price) problems.push('missing price');
+    if (!listing.url && !listing.eflyer) problems.push('missing url');
+    if (media.length === 0) problems.push('missing image');
+    if (listing.category === 'other') problems.push('unknown category');
+    if (rawLandSize != null && listing.landSize == null) problems.push(`unparseable land size "${rawLandSize}"`);
+    if (rawBuildingSize != null && listing.buildingSize == null) problems.push(`unparseable building size "${rawBuildingSize}"`);
+    if (price && listing.priceValue == null && !listing.priceOnRequest) problems.push(`unparseable price "${price}"`);
+
+    return { listing, problems, rejected: false };
+}
+
+/**
+ * Normalize a batch from one source. Duplicate ids keep the first record.
+ * Returns { listings, report } where report = { tenantId, source, schemaVersion, total, valid,
+ * partial, rejected, issues: [{ id, index, status, problems }], generatedAt }.
+ */
+function normalizeListings(records, { tenantId = null, source = null } = {}) {
+    const listings = [];
+    const seen = new Set();
+    const report = {
+        tenantId,
+        source,
+        schemaVersion: LISTING_SCHEMA_VERSION,
+        total: Array.isArray(records) ? records.length : 0,
+        valid: 0,
+        partial: 0,
+        rejected: 0,
+        issues: [],
+        generatedAt: new Date().toISOString()
+    };
+    const addIssue = issue => {
+        if (report.issues.length < MAX_REPORTED_ISSUES) report.issues.push(issue);
+    };
+
+    (Array.isArray(records) ? records : []).forEach((raw, index) => {
+        const { listing, problems, rejected } = normalizeListing(raw, { tenantId, source });
+        const id = listing?.id ?? raw?.id ?? null;
+        if (!rejected && seen.has(listing.id)) {
+            report.rejected++;
+            addIssue({ id, index, status: 'rejected', problems: ['duplicate id'] });
+            return;
+        }
+        if (rejected) {
+            report.rejected++;
+            addIssue({ id, index, status: 'rejected', problems });
+            return;
+        }
+        seen.add(listing.id);
+        listings.push(listing);
+        if (problems.length > 0) {
+            report.partial++;
+            addIssue({ id, index, status: 'partial', problems });
+        } else {
+            report.valid++;
+        }
+    });
+
+    return { listings, report };
+}
+
+module.exports = {
+    LISTING_SCHEMA_VERSION,
+    CATEGORIES,
+    STATUSES,
+    FURNISHING,
+    CERTIFICATES,
+    FACINGS,
+    parseArea,
+    parseCount,
+    parseExtraRooms,
+    parseFloors,
+    parseElectricity,
+    parseFacing,
+    parseFacilities,
+    parseFurnishing,
+    parseCertificate,
+    isAvailable,
+    normalizeListing,
+    normalizeListings
+};
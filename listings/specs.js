@@ -0,0 +1,72 @@
+const { parseArea, parseCount, parseExtraRooms, parseFloors, parseElectricity, parseFacing, parseFacilities, parseFurnishing, parseCertificate } = require('./schema');
+
+// Specification pairs ("Kamar Tidur: 4", "Listrik: 2200 VA") to listing fields, parsed like the
+// schema parses them; unknown keys and values that don't parse come back as `unparsed`
+
+const facilityList = value => {
+    const facilities = parseFacilities(value);
+    return facilities.length ? facilities : null;
+};
+
+// Checked in order against the normalized key; the first match wins. `extra` fields come from
+// the same value ("3+1" bedrooms -> 1 maid's room) unless their own key is in the table.
+const SPEC_KEYS = [
+    { field: 'maidRooms', pattern: /^(kamar (tidur )?(pembantu|art)|kt (pembantu|art)|ktp|maid'?s? (bed)?rooms?)$/, parse: parseCount },
+    { field: 'bedrooms', pattern: /^(kamar tidur|jumlah kamar( tidur)?|kt|bedrooms?|beds?)$/, parse: parseCount, extra: { maidRooms: parseExtraRooms } },
+    { field: 'bathrooms', pattern: /^(kamar mandi|jumlah kamar mandi|km|bathrooms?|baths?)$/, parse: parseCount },
+    { field: 'landSize', pattern: /^(luas tanah|lt|land (size|area)|lot (size|area))$/, parse: parseArea },
+    { field: 'buildingSize', pattern: /^(luas bangunan|lb|building (size|area)|floor (size|area)|property size|house size)$/, parse: parseArea },
+    { field: 'certificate', pattern: /^(sertifikat|sertipikat|jenis sertifikat|legalitas|certificate|title deed)$/, parse: parseCertificate },
+    { field: 'electricity', pattern: /^((daya )?listrik|daya|electricity|power( supply)?)$/, parse: parseElectricity },
+    { field: 'floors', pattern: /^(jumlah lantai|lantai|tingkat|floors?|storeys?|stories|levels?)$/, parse: parseFloors },
+    { field: 'facing', pattern: /^((meng)?hadap|arah( rumah| bangunan)?|facing|orientation)$/, parse: parseFacing },
+    { field: 'furnished', pattern: /^(perabot(an)?|kondisi perabot(an)?|furnish(ed|ing)|interior)$/, parse: parseFurnishing },
+    { field: 'carports', pattern: /^(carport|car port|jumlah carport)$/, parse: parseCount },
+    { field: 'garages', pattern: /^(garasi|garage|jumlah garasi)$/, parse: parseCount },
+    { field: 'facilities', pattern: /^(fasilitas|facilities|fitur|features|amenities)( .+)?$/, parse: facilityList },
+    { field: 'category', pattern: /^(tipe properti|jenis properti|property type|tipe|jenis)$/, parse: value => value.trim() || null }
+];
+
+// Keys the page shows elsewhere (price, address, ids) - recognized, not reported
+const KNOWN_KEYS = /^(harga|price|lokasi|location|alamat|address|id( listing)?|listing id|property id|kode( listing)?|tipe listing|listing type|status|dijual\/disewa)$/;
+
+const normalizeKey = key => String(key).toLowerCase().replace(/[:*]+$/, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Listing fields from [{ key, value }] pairs: { fields, sources, unparsed: [{ key, value, reason }] }.
+ * The first pair for a field wins; sources name the key it came from ("spec:Kamar Tidur").
+ */
+function parseSpecifications(entries) {
+    const fields = {};
+    const sources = {};
+    const unparsed = [];
+    const extras = [];
+    for (const { key, value } of entries) {
+        const name = normalizeKey(key);
+        if (!name || KNOWN_KEYS.test(name)) continue;
+        const spec = SPEC_KEYS.find(({ pattern }) => pattern.test(name));
+        if (!spec) {
+            unparsed.push({ key, value, reason: 'unknown key' });
+            continue;
+        }
+        if (fields[spec.field] !== undefined) continue;
+        const parsed = spec.parse(value);
+        if (parsed == null) {
+            unparsed.push({ key, value, reason: `value not understood as ${spec.field}` });
+            continue;
+        }
+        fields[spec.field] = parsed;
+        sources[spec.field] = `spec:${key.trim()}`;
+        for (const [field, parse] of Object.entries(spec.extra || {})) {
+            extras.push({ field, value: parse(value), source: sources[spec.field] });
+        }
+    }
+    for (const { field, value, source } of extras) {
+        if (fields[field] !== undefined || value == null) continue;
+        fields[field] = value;
+        sources[field] = source;
+    }
+    return { fields, sources, unparsed };
+}
+
+module.exports = { parseSpecifications };
@@ -0,0 +1,178 @@
+const { SEARCH_TOOLS, CONTACT_TOOLS } = require('./conversation-stage');
+
+// Keeps long conversations inside a token budget: older turns are folded into a rolling summary
+// (cached on conversation.summary and extended incrementally), the latest turns are sent verbatim
+
+// Turns always sent verbatim (3 visitor/assistant exchanges), shrinking to MIN_RECENT_TURNS if needed
+const RECENT_TURNS = 6;
+const MIN_RECENT_TURNS = 2;
+// Condensed lines of earlier messages kept in the summary
+const MAX_SUMMARY_LINES = 10;
+const SUMMARY_ACK = 'Noted. I will continue the conversation using this summary.';
+
+// Rough token estimate (~4 characters per token for Gemini on ID/EN text)
+function estimateTokens(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value || '');
+    return Math.ceil(text.length / 4);
+}
+
+function historyTokens(history) {
+    return history.reduce((sum, entry) => sum + estimateTokens(entry.parts.map(p => p.text).join('')), 0);
+}
+
+function toHistory(turns) {
+    return turns
+        .filter(t => (t.role === 'user' || t.role === 'model') && !t.blocked && t.text && t.text.trim() !== '')
+        .map(t => ({ role: t.role, parts: [{ text: t.text }] }));
+}
+
+function formatRupiah(value) {
+    if (value >= 1e9) return `Rp ${+(value / 1e9).toFixed(2)} M`;
+    if (value >= 1e6) return `Rp ${+(value / 1e6).toFixed(1)} jt`;
+    return `Rp ${value}`;
+}
+
+function emptyCriteria() {
+    return { minPrice: null, maxPrice: null, areas: [], categories: [], types: [], minBedrooms: null, keywords: [], contact: null, viewings: [], shownPropertyIds: [] };
+}
+
+const addUnique = (list, value) => {
+    if (value && !list.includes(value)) list.push(value);
+};
+
+// Fold the facts of a batch of turns into the criteria. Tool arguments are the reliable source:
+// they are what the model itself extracted from the visitor's words.
+function mergeCriteria(criteria, turns) {
+    for (const turn of turns) {
+        for (const call of turn.toolCalls || []) {
+            if (call.status !== 'ok') continue;
+            const args = call.args || {};
+            if (SEARCH_TOOLS.includes(call.name)) {
+                if (args.min_price) criteria.minPrice = args.min_price;
+                if (args.max_price) criteria.maxPrice = args.max_price;
+                if (args.min_bedrooms) criteria.minBedrooms = args.min_bedrooms;
+                addUnique(criteria.areas, args.location);
+                addUnique(criteria.categories, args.property_category);
+                addUnique(criteria.types, args.type);
+                addUnique(criteria.keywords, args.keyword);
+            }
+            if (CONTACT_TOOLS.includes(call.name) && args.visitor_name) {
+                criteria.contact = { name: args.visitor_name, phone: args.visitor_phone || null, email: args.visitor_email || null };
+            }
+            if (call.name === 'schedule_viewing') {
+                criteria.viewings.push(`${args.property_id} on ${args.preferred_date} ${args.preferred_time}`);
+            }
+        }
+        for (const id of turn.propertyIds || []) {
+            addUnique(criteria.shownPropertyIds, id);
+        }
+    }
+    return criteria;
+}
+
+function condenseTurn(turn) {
+    const text = turn.text.replace(/\s+/g, ' ').trim();
+    const short = text.length > 140 ? `${text.slice(0, 137)}...` : text;
+    return `- ${turn.role === 'user' ? 'Visitor' : 'Assistant'}: ${short}`;
+}
+
+function renderSummary(criteria, lines) {
+    const out = ['[CONVERSATION SUMMARY - earlier turns were compressed]'];
+    const wants = [];
+    if (criteria.types.length) wants.push(`for ${criteria.types.join('/')}`);
+    if (criteria.categories.length) wants.push(`type ${criteria.categories.join(', ')}`);
+    if (criteria.areas.length) wants.push(`areas ${criteria.areas.join(', ')}`);
+    if (criteria.minPrice) wants.push(`budget from ${formatRupiah(criteria.minPrice)}`);
+    if (criteria.maxPrice) wants.push(`budget up to ${formatRupiah(criteria.maxPrice)}`);
+    if (criteria.minBedrooms) wants.push(`${criteria.minBedrooms}+ bedrooms`);
+    if (criteria.keywords.length) wants.push(`wants ${criteria.keywords.join(', ')}`);
+    if (wants.length) out.push(`Search criteria: ${wants.join('; ')}`);
+    if (criteria.contact) {
+        const { name, phone, email } = criteria.contact;
+        out.push(`Contact already collected (do NOT ask again): ${[name, phone, email].filter(Boolean).join(', ')}`);
+    }
+    if (criteria.viewings.length) out.push(`Viewings scheduled: ${criteria.viewings.join('; ')}`);
+    if (criteria.shownPropertyIds.length) out.push(`Listings already shown: ${criteria.shownPropertyIds.slice(-20).join(', ')}`);
+    if (lines.length) out.push('Earlier messages:', ...lines);
+    return out.join('\n');
+}
+
+// Extend the cached summary so it covers turns[0, cutIndex)
+function updateSummary(conversation, cutIndex) {
+    const cached = conversation.summary;
+    if (cached && cached.summarizedTurns >= cutIndex) {
+        return cached;
+    }
+
+    const from = cached ? cached.summarizedTurns : 0;
+    const newTurns = conversation.turns.slice(from, cutIndex).filter(t => !t.blocked && t.text);
+    const criteria = mergeCriteria(cached ? cached.criteria : emptyCriteria(), newTurns);
+    const lines = [...(cached ? cached.lines : []), ...newTurns.map(condenseTurn)].slice(-MAX_SUMMARY_LINES);
+    const text = renderSummary(criteria, lines);
+
+    conversation.summary = {
+        text,
+        criteria,
+        lines,
+        summarizedTurns: cutIndex,
+        tokens: estimateTokens(text),
+        updatedAt: new Date().toISOString()
+    };
+    return conversation.summary;
+}
+
+// First index >= start holding a visitor turn, so the verbatim history starts with the user
+function nextUserTurnIndex(turns, start) {
+    let index = start;
+    while (index < turns.length && turns[index].role !== 'user') index++;
+    return index;
+}
+
+/**
+ * Build the history to send for this turn.
+ * `budget` is the prompt-token budget for history + message (system prompt and tool
+ * declarations are fixed overhead and not counted). Returns:
+ *   { history, summarized, fullTokens, contextTokens, savedTokens, overBudget }
+ */
+function buildModelContext(conversation, { budget, messageTokens = 0 }) {
+    const turns = conversation.turns;
+    const fullHistory = toHistory(turns);
+    const fullTokens = historyTokens(fullHistory);
+
+    // Keep using an existing summary once the conversation needed one, so the cut never moves back
+    if (!conversation.summary && fullTokens + messageTokens <= budget) {
+        return { history: fullHistory, summarized: false, fullTokens, contextTokens: fullTokens, savedTokens: 0, overBudget: false };
+    }
+
+    let result = null;
+    for (let keep = RECENT_TURNS; keep >= MIN_RECENT_TURNS; keep -= 2) {
+        const cutIndex = Math.max(
+            nextUserTurnIndex(turns, Math.max(0, turns.length - keep)),
+            conversation.summary ? conversation.summary.summarizedTurns : 0
+        );
+        if (cutIndex === 0) continue; // Nothing old enough to summarize yet
+        const summary = updateSummary(conversation, cutIndex);
+        const history = [
+            { role: 'user', parts: [{ text: summary.text }] },
+            { role: 'model', parts: [{ text: SUMMARY_ACK }] },
+            ...toHistory(turns.slice(summary.summarizedTurns))
+        ];
+        const contextTokens = historyTokens(history);
+        result = {
+            history,
+            summarized: true,
+            fullTokens,
+            contextTokens,
+            savedTokens: Math.max(0, fullTokens - contextTokens),
+            overBudget: contextTokens + messageTokens > budget
+        };
+        if (!result.overBudget) break;
+    }
+    // Short conversations with very short messages can be cheaper verbatim than summarized
+    if (!result || result.contextTokens >= fullTokens) {
+        return { history: fullHistory, summarized: false, fullTokens, contextTokens: fullTokens, savedTokens: 0, overBudget: fullTokens + messageTokens > budget };
+    }
+    return result;
+}
+
+module.exports = { buildModelContext, estimateTokens, formatRupiah };
@@ -0,0 +1,121 @@
+// Conversation stages: greeting → qualifying → searching → shortlisting → contact_captured →
+// viewing_scheduled → handed_off. Moved forward by tool calls and the profile; gates `minStage` tools.
+
+const STAGES = ['greeting', 'qualifying', 'searching', 'shortlisting', 'contact_captured', 'viewing_scheduled', 'handed_off'];
+
+// Injected with the stage each turn so the model knows what comes next
+const STAGE_GUIDANCE = {
+    greeting: 'greet the visitor and ask what property they are looking for',
+    qualifying: 'search as soon as a location or property type is known',
+    searching: 'no matches yet - follow the NO MATCH STRATEGIES',
+    shortlisting: 'help the visitor choose among the listings shown, then collect contact details with collect_visitor_info',
+    contact_captured: 'offer a viewing (schedule_viewing) or hand off to the agent (send_inquiry_email)',
+    viewing_scheduled: 'confirm the viewing details; use send_inquiry_email when the visitor is done',
+    handed_off: 'the agent has been notified - answer any remaining questions'
+};
+
+// What the model must do before a tool gated at this stage becomes available
+const STAGE_REQUIREMENTS = {
+    searching: 'Search the personal listings with search_properties first.',
+    shortlisting: 'Show listings with search_properties first.',
+    contact_captured: "Collect the visitor's name and phone or email with collect_visitor_info first."
+};
+
+// Tools whose calls move the stage and the visitor profile (./visitor-profile.js, ./context-manager.js)
+const SEARCH_TOOLS = ['search_properties', 'search_office_database'];
+const CONTACT_TOOLS = ['collect_visitor_info', 'send_inquiry_email', 'schedule_viewing'];
+
+const stageRank = stage => STAGES.indexOf(stage);
+
+function createStageState() {
+    return {
+        current: 'greeting',
+        history: [{ stage: 'greeting', enteredAt: new Date().toISOString(), trigger: 'start' }]
+    };
+}
+
+function isStageReached(state, stage) {
+    return !stage || stageRank(state.current) >= stageRank(stage);
+}
+
+function hasPreferences(profile) {
+    return !!(profile.budgetMin || profile.budgetMax || profile.areas.length || profile.propertyCategory ||
+        profile.listingType || profile.bedrooms || profile.mustHaves.length || profile.timeline);
+}
+
+function hasContact(profile) {
+    const { name, phone, email } = profile.contact;
+    return !!(name && (phone || email));
+}
+
+// Furthest stage a tool call (and the profile after it) justifies
+function deriveStage({ profile, toolCall, response }) {
+    const candidates = [];
+    if (profile && hasPreferences(profile)) candidates.push('qualifying');
+    if (profile && hasContact(profile)) candidates.push('contact_captured');
+
+    if (toolCall && toolCall.status === 'ok' && response?.success !== false) {
+        if (SEARCH_TOOLS.includes(toolCall.name)) {
+            candidates.push(toolCall.resultCount > 0 ? 'shortlisting' : 'searching');
+        }
+        if (toolCall.name === 'schedule_viewing') candidates.push('viewing_scheduled');
+        if (toolCall.name === 'send_inquiry_email') candidates.push('handed_off');
+    }
+    return candidates.sort((a, b) => stageRank(b) - stageRank(a))[0] || null;
+}
+
+/**
+ * Move the conversation forward after a tool call. Returns the new stage, or null if it did not change.
+ */
+function advanceStage(state, { profile, toolCall, response }) {
+    const next = deriveStage({ profile, toolCall, response });
+    if (!next || stageRank(next) <= stageRank(state.current)) {
+        return null;
+    }
+    state.current = next;
+    state.history.push({ stage: next, enteredAt: new Date().toISOString(), trigger: toolCall ? toolCall.name : 'profile' });
+    return next;
+}
+
+function renderStageContext(state) {
+    return `[STAGE: ${state.current} - ${STAGE_GUIDANCE[state.current]}]`;
+}
+
+// Reason a tool is not available yet (sent back to the model), or null when it may be used
+function getStageGateReason(state, toolName, minStage) {
+    if (isStageReached(state, minStage)) {
+        return null;
+    }
+    return `${toolName} is not available at this point of the conversation (stage: ${state.current}). ${STAGE_REQUIREMENTS[minStage] || ''}`.trim();
+}
+
+/**
+ * Drop-off per stage over a set of conversations: how many reached each stage, how many
+ * stopped there, and the share that went on to a later stage.
+ */
+function buildStageReport(conversations) {
+    const reached = STAGES.map(() => 0);
+    const stopped = STAGES.map(() => 0);
+    for (const conversation of conversations) {
+        const rank = stageRank(conversation.stage?.current || 'greeting');
+        for (let i = 0; i <= rank; i++) reached[i] += 1;
+        stopped[rank] += 1;
+    }
+    return STAGES.map((stage, i) => ({
+        stage,
+        reached: reached[i],
+        stoppedHere: stopped[i],
+        continuedPercent: reached[i] > 0 && i < STAGES.length - 1 ? Number(((reached[i + 1] / reached[i]) * 100).toFixed(1)) : null
+    }));
+}
+
+module.exports = {
+    STAGES,
+    SEARCH_TOOLS,
+    CONTACT_TOOLS,
+    createStageState,
+    advanceStage,
+    renderStageContext,
+    getStageGateReason,
+    buildStageReport
+};
@@ -0,0 +1,25 @@
+// LLM provider layer (LLM_PROVIDER: vertex, the default, or scripted for offline runs)
+//   provider.startChat({ model, history, systemInstruction, tools, generationConfig, safetySettings }) -> chat
+//   chat.sendMessage(text, { onText }) / chat.sendFunctionResponses([{ name, response }], { onText }) -> response
+// Responses are Gemini-shaped ({ candidates, usageMetadata }); `onText` streams text deltas, and
+// `tools` may be a function, re-read for every message.
+
+const { createVertexProvider } = require('./vertex');
+const { createScriptedProvider } = require('./scripted');
+
+const PROVIDERS = {
+    vertex: createVertexProvider,
+    scripted: createScriptedProvider
+};
+
+function createLlmProvider(name, options = {}) {
+    const providerName = (name || 'vertex').toLowerCase();
+    const factory = PROVIDERS[providerName];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    console.log(`[LLM] Using ${providerName} provider`);
+    return factory(options);
+}
+
+module.exports = { createLlmProvider };
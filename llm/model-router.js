@@ -0,0 +1,109 @@
+// Per-request model routing with a circuit breaker per model: closed (used), open (429 or 404, skipped
+// until the cool-down ends), half_open (one probe may use it; success closes it, failure reopens it)
+
+// Provider errors carry the HTTP status as `status` (@google/genai ApiError) or `code`, and the
+// API status name ("RESOURCE_EXHAUSTED") when there is no number
+const STATUS_NAMES = { RESOURCE_EXHAUSTED: 429, NOT_FOUND: 404, INVALID_ARGUMENT: 400 };
+
+function errorStatus(error) {
+    for (const value of [error?.status, error?.code]) {
+        if (Number.isInteger(value)) return value;
+        if (typeof value === 'string' && STATUS_NAMES[value]) return STATUS_NAMES[value];
+    }
+    return null;
+}
+
+// Errors that mean the model is unavailable for everyone, not just this request (quota, model not found)
+function isBreakerError(error) {
+    return [429, 404].includes(errorStatus(error));
+}
+
+// Errors worth retrying on another model without blaming this one (e.g. a model that rejects the request shape)
+function isFallbackError(error) {
+    return isBreakerError(error) || errorStatus(error) === 400;
+}
+
+function createModelRouter({ models, cooldownMs = 5 * 60 * 1000 }) {
+    const breakers = new Map(models.map(name => [name, { state: 'closed', failures: 0, openedAt: null, probeInFlight: false, lastError: null }]));
+
+    function getBreaker(name) {
+        if (!breakers.has(name)) {
+            breakers.set(name, { state: 'closed', failures: 0, openedAt: null, probeInFlight: false, lastError: null });
+        }
+        return breakers.get(name);
+    }
+
+    function isAvailable(name) {
+        const breaker = getBreaker(name);
+        if (breaker.state === 'open' && Date.now() - breaker.openedAt >= cooldownMs) {
+            breaker.state = 'half_open';
+            breaker.probeInFlight = false;
+            console.log(`[MODEL_ROUTER] ${name} half-open after cool-down`);
+        }
+        if (breaker.state === 'half_open') {
+            return !breaker.probeInFlight;
+        }
+        return breaker.state === 'closed';
+    }
+
+    // Ordered models to try for one request: the preferred model first, then the priority list.
+    // If every breaker is open, the one that opened first is still tried rather than failing outright.
+    function getCandidates(preferredModel) {
+        const ordered = [...new Set([preferredModel, ...models].filter(Boolean))];
+        const available = ordered.filter(isAvailable);
+        if (available.length > 0) {
+            return available;
+        }
+        const oldestOpen = ordered
+            .map(name => ({ name, openedAt: getBreaker(name).openedAt || 0 }))
+            .sort((a, b) => a.openedAt - b.openedAt)[0];
+        console.warn(`[MODEL_ROUTER] All models unavailable, trying ${oldestOpen.name} anyway`);
+        return [oldestOpen.name];
+    }
+
+    // Call before sending to a model so a half-open breaker only lets one probe through
+    function markAttempt(name) {
+        const breaker = getBreaker(name);
+        if (breaker.state === 'half_open') {
+            breaker.probeInFlight = true;
+        }
+    }
+
+    function recordSuccess(name) {
+        const breaker = getBreaker(name);
+        if (breaker.state !== 'closed') {
+            console.log(`[MODEL_ROUTER] ${name} recovered, circuit closed`);
+        }
+        Object.assign(breaker, { state: 'closed', failures: 0, openedAt: null, probeInFlight: false });
+    }
+
+    // Returns true when the error opened the model's breaker
+    function recordFailure(name, error) {
+        const breaker = getBreaker(name);
+        breaker.probeInFlight = false;
+        if (!isBreakerError(error)) {
+            return false;
+        }
+        breaker.failures += 1;
+        breaker.lastError = error.message;
+        breaker.state = 'open';
+        breaker.openedAt = Date.now();
+        console.warn(`[MODEL_ROUTER] ${name} circuit open for ${Math.round(cooldownMs / 1000)}s: ${error.message}`);
+        return true;
+    }
+
+    function getStatus() {
+        return [...breakers.entries()].map(([name, breaker]) => ({
+            model: name,
+            state: breaker.state,
+            failures: breaker.failures,
+            openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+            retryAt: breaker.state === 'open' ? new Date(breaker.openedAt + cooldownMs).toISOString() : null,
+            lastError: breaker.lastError
+        }));
+    }
+
+    return { getCandidates, markAttempt, recordSuccess, recordFailure, getStatus };
+}
+
+module.exports = { createModelRouter, isBreakerError, isFallbackError };
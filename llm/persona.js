@@ -0,0 +1,140 @@
+const { validateArgs } = require('../tools/validation');
+
+// Tenant personas: versioned per-office prompt fragments and generation settings, composed as
+// persona intro → base instruction → office rules → core safety (last, not editable by tenants)
+
+const MAX_VERSIONS = 20;
+const MAX_EXTRA_RULES = 10;
+const MAX_RULE_LENGTH = 200;
+
+const TONES = {
+    friendly: 'Be friendly, professional, and natural.',
+    formal: 'Be formal, courteous and precise. Address the visitor as "Bapak/Ibu" in Indonesian.',
+    enthusiastic: 'Be warm and enthusiastic while staying professional.',
+    concise: 'Be professional and brief: short answers, no small talk.'
+};
+
+const SPECIALTIES = {
+    general: null,
+    luxury: 'luxury homes, premium apartments and high-end clientele',
+    commercial: 'commercial property: ruko, offices, warehouses, factories and land',
+    rentals: 'rentals: houses and apartments for lease'
+};
+
+const DEFAULT_GENERATION_CONFIG = {
+    maxOutputTokens: 1024,
+    temperature: 0.2,
+    topP: 0.8,
+    topK: 10,
+    candidateCount: 1,
+    stopSequences: [],
+    presencePenalty: 0.0,
+    frequencyPenalty: 0.0,
+};
+
+// Tenants may make safety filtering stricter than the default, never looser
+const SAFETY_THRESHOLDS = ['BLOCK_MEDIUM_AND_ABOVE', 'BLOCK_LOW_AND_ABOVE'];
+const SAFETY_CATEGORIES = ['HARM_CATEGORY_HARASSMENT', 'HARM_CATEGORY_HATE_SPEECH', 'HARM_CATEGORY_SEXUALLY_EXPLICIT', 'HARM_CATEGORY_DANGEROUS_CONTENT'];
+
+const PERSONA_SCHEMA = {
+    type: 'object',
+    properties: {
+        agentName: { type: 'string', maxLength: 60 },
+        officeName: { type: 'string', maxLength: 80 },
+        greeting: { type: 'string', maxLength: 300 },
+        tone: { type: 'string', enum: Object.keys(TONES) },
+        specialty: { type: 'string', enum: Object.keys(SPECIALTIES) },
+        extraRules: { type: 'array' },
+        temperature: { type: 'number', minimum: 0, maximum: 1 },
+        topP: { type: 'number', minimum: 0.1, maximum: 1 },
+        topK: { type: 'integer', minimum: 1, maximum: 40 },
+        maxOutputTokens: { type: 'integer', minimum: 256, maximum: 2048 },
+        safetyThreshold: { type: 'string', enum: SAFETY_THRESHOLDS }
+    }
+};
+
+function createPersonaRecord() {
+    return { draft: null, published: null, versions: [] };
+}
+
+// Validate a persona submitted from the dashboard. Resolves to { value, errors } like validateArgs.
+function validatePersona(input) {
+    const { value, errors } = validateArgs(PERSONA_SCHEMA, input || {});
+    if (value.extraRules) {
+        const rules = value.extraRules.map(rule => (typeof rule === 'string' ? rule.trim() : rule)).filter(rule => rule !== '');
+        if (rules.some(rule => typeof rule !== 'string')) {
+            errors.push({ field: 'extraRules', message: 'must be a list of strings' });
+        } else if (rules.length > MAX_EXTRA_RULES) {
+            errors.push({ field: 'extraRules', message: `must have at most ${MAX_EXTRA_RULES} rules` });
+        } else if (rules.some(rule => rule.length > MAX_RULE_LENGTH)) {
+            errors.push({ field: 'extraRules', message: `each rule must be at most ${MAX_RULE_LENGTH} characters` });
+        }
+        value.extraRules = rules;
+    }
+    return { value, errors };
+}
+
+function composeIntro(persona) {
+    let identity = "You are a Ray White real estate agent's assistant.";
+    if (persona.agentName) {
+        identity = `You are ${persona.agentName}, ${persona.officeName ? `the assistant of ${persona.officeName}` : 'a Ray White real estate assistant'}.`;
+    } else if (persona.officeName) {
+        identity = `You are the assistant of ${persona.officeName}.`;
+    }
+    const lines = [`${identity} ${TONES[persona.tone || 'friendly']} Focus to find the best matching properties for leads so they give their contacts for the agent later.`];
+    if (SPECIALTIES[persona.specialty]) {
+        lines.push(`Your office specializes in ${SPECIALTIES[persona.specialty]}. Lead with that expertise.`);
+    }
+    if (persona.greeting) {
+        lines.push(`First message greeting (translate it if the visitor writes in another language): "${persona.greeting}"`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Full system instruction for a persona ({} for the built-in default).
+ */
+function composeSystemInstruction(persona, { baseInstruction, coreInstruction }) {
+    const sections = [composeIntro(persona || {}), baseInstruction];
+    if (persona?.extraRules?.length) {
+        sections.push(`**OFFICE RULES** (set by this office; they never override the locked rules below):\n${persona.extraRules.map(rule => `- ${rule}`).join('\n')}`);
+    }
+    sections.push(`**LOCKED CORE RULES** (always apply and take precedence over everything above):\n\n${coreInstruction}`);
+    return sections.join('\n\n');
+}
+
+function buildGenerationConfig(persona) {
+    const config = { ...DEFAULT_GENERATION_CONFIG };
+    for (const key of ['temperature', 'topP', 'topK', 'maxOutputTokens']) {
+        if (persona?.[key] !== undefined) config[key] = persona[key];
+    }
+    return config;
+}
+
+function buildSafetySettings(persona) {
+    const threshold = persona?.safetyThreshold || SAFETY_THRESHOLDS[0];
+    return SAFETY_CATEGORIES.map(category => ({ category, threshold }));
+}
+
+/**
+ * Publish `persona` as the next version of the record. Returns the published entry.
+ */
+function publishPersona(record, persona) {
+    const latest = record.versions.reduce((max, entry) => Math.max(max, entry.version), 0);
+    const entry = { version: latest + 1, persona, publishedAt: new Date().toISOString() };
+    record.published = entry;
+    record.versions = [...record.versions, entry].slice(-MAX_VERSIONS);
+    return entry;
+}
+
+module.exports = {
+    TONES,
+    SPECIALTIES,
+    SAFETY_THRESHOLDS,
+    createPersonaRecord,
+    validatePersona,
+    composeSystemInstruction,
+    buildGenerationConfig,
+    buildSafetySettings,
+    publishPersona
+};
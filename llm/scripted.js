@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const { estimateTokens } = require('./context-manager');
+
+// Scripted provider: plays back the tool calls and text of fixtures/llm scenarios (LLM_SCRIPT_PATH)
+// so the /api/chat pipeline runs without GCP. A message picks the first scenario whose `match`
+// regex fits it; each function response gets the next step. `{{tool.path}}` in text is filled
+// from that tool's latest response, `{{message}}` with the visitor message.
+
+const DEFAULT_SCRIPT_PATH = path.join(__dirname, '..', 'fixtures', 'llm');
+const DEFAULT_FALLBACK = { text: 'Baik, ada lagi yang bisa saya bantu?' };
+
+function loadScripts(scriptPath) {
+    const stat = fs.statSync(scriptPath);
+    const files = stat.isDirectory()
+        ? fs.readdirSync(scriptPath).filter(f => f.endsWith('.json')).sort().map(f => path.join(scriptPath, f))
+        : [scriptPath];
+
+    const scenarios = [];
+    let fallback = null;
+    for (const file of files) {
+        const script = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const scenario of script.scenarios || []) {
+            if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+                throw new Error(`Scenario "${scenario.name}" in ${file} has no steps`);
+            }
+            scenarios.push({ ...scenario, pattern: scenario.match ? new RegExp(scenario.match, 'i') : null });
+        }
+        fallback = script.fallback || fallback;
+    }
+    console.log(`[LLM] Loaded ${scenarios.length} scripted scenarios from ${files.length} file(s)`);
+    return { scenarios, fallback: fallback || DEFAULT_FALLBACK };
+}
+
+function resolvePath(value, dottedPath) {
+    return dottedPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+// Drop server-injected context blocks such as "[VIEWING: Property ID 123]"
+function stripContext(text) {
+    return String(text || '').replace(/\[[^\]]*\]\s*/g, '').trim();
+}
+
+function renderText(template, variables) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, expression) => {
+        const [root, ...rest] = expression.split('.');
+        const resolved = rest.length > 0 ? resolvePath(variables[root], rest.join('.')) : variables[root];
+        return resolved == null ? '' : String(resolved);
+    });
+}
+
+function createScriptedProvider({ scriptPath } = {}) {
+    const { scenarios, fallback } = loadScripts(scriptPath || process.env.LLM_SCRIPT_PATH || DEFAULT_SCRIPT_PATH);
+
+    return {
+        name: 'scripted',
+        startChat({ history = [] } = {}) {
+            let promptTokens = estimateTokens(history);
+            let scenario = null;
+            let stepIndex = 0;
+            const variables = {};
+
+            const respond = (step, onText) => {
+                const parts = [];
+                if (step.text) {
+                    const text = renderText(step.text, variables);
+                    if (onText) {
+                        // Stream word by word to exercise the SSE path
+                        text.split(/(?<=\s)/).forEach(chunk => onText(chunk));
+                    }
+                    parts.push({ text });
+                }
+                for (const call of step.functionCalls || []) {
+                    parts.push({ functionCall: { name: call.name, args: call.args || {} } });
+                }
+
+                const usageMetadata = { promptTokenCount: promptTokens, candidatesTokenCount: estimateTokens(parts) };
+                promptTokens += usageMetadata.candidatesTokenCount;
+                return { candidates: [{ content: { role: 'model', parts } }], usageMetadata };
+            };
+
+            return {
+                async sendMessage(text, options = {}) {
+                    promptTokens += estimateTokens(text);
+                    variables.message = stripContext(text);
+                    scenario = scenarios.find(s => !s.pattern || s.pattern.test(variables.message)) || null;
+                    stepIndex = 0;
+                    console.log(`[LLM] Scripted scenario: ${scenario ? scenario.name : '(fallback)'}`);
+                    return respond(scenario ? scenario.steps[stepIndex++] : fallback, options.onText);
+                },
+                async sendFunctionResponses(responses, options = {}) {
+                    promptTokens += estimateTokens(responses);
+                    for (const { name, response } of responses) {
+                        variables[name] = response;
+                    }
+                    const step = scenario && stepIndex < scenario.steps.length ? scenario.steps[stepIndex++] : fallback;
+                    return respond(step, options.onText);
+                }
+            };
+        }
+    };
+}
+
+module.exports = { createScriptedProvider };
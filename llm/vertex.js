@@ -0,0 +1,66 @@
+const { GoogleGenAI } = require('@google/genai');
+
+// Vertex AI Gemini adapter for the provider interface in ./index.js
+function createVertexProvider({ project, location }) {
+    const client = new GoogleGenAI({ vertexai: true, project, location });
+
+    return {
+        name: 'vertex',
+        startChat({ model, history, systemInstruction, tools, generationConfig, safetySettings }) {
+            const baseConfig = {
+                ...generationConfig,
+                safetySettings,
+                systemInstruction: { parts: [{ text: systemInstruction }] }
+            };
+            // A per-message config replaces the chat's, so it carries everything plus the current tools
+            const configNow = () => ({ ...baseConfig, tools: typeof tools === 'function' ? tools() : tools });
+            const chat = client.chats.create({ model, history, config: configNow() });
+
+            return {
+                sendMessage: (text, options = {}) => sendChatMessage(chat, text, configNow(), options.onText),
+                sendFunctionResponses: (responses, options = {}) => sendChatMessage(
+                    chat,
+                    responses.map(({ name, response }) => ({ functionResponse: { name, response } })),
+                    configNow(),
+                    options.onText
+                )
+            };
+        }
+    };
+}
+
+// Send a message on a chat session. With `onText`, the answer is streamed and every text
+// delta is passed to it; the chunks are then folded back into a regular response object.
+async function sendChatMessage(chat, message, config, onText = null) {
+    if (!onText) {
+        return chat.sendMessage({ message, config });
+    }
+
+    const responseStream = await chat.sendMessageStream({ message, config });
+    const otherParts = [];
+    let text = '';
+    let usageMetadata = null;
+
+    for await (const chunk of responseStream) {
+        if (chunk.usageMetadata) {
+            usageMetadata = chunk.usageMetadata;
+        }
+        const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
+        for (const part of chunkParts) {
+            if (part.text) {
+                text += part.text;
+                onText(part.text);
+            } else {
+                otherParts.push(part);
+            }
+        }
+    }
+
+    const parts = text ? [{ text }, ...otherParts] : otherParts;
+    return {
+        candidates: parts.length > 0 ? [{ content: { role: 'model', parts } }] : [],
+        usageMetadata
+    };
+}
+
+module.exports = { createVertexProvider };
@@ -0,0 +1,133 @@
+const { formatRupiah } = require('./context-manager');
+const { SEARCH_TOOLS, CONTACT_TOOLS } = require('./conversation-stage');
+
+// Visitor profile: preferences and contact details from validated tool arguments, per conversation
+
+const MAX_AREAS = 5;
+const MAX_MUST_HAVES = 8;
+
+function createVisitorProfile() {
+    return {
+        budgetMin: null,
+        budgetMax: null,
+        areas: [],
+        propertyCategory: null,
+        listingType: null, // 'rent' | 'sale'
+        bedrooms: null,
+        mustHaves: [],
+        timeline: null,
+        contact: { name: null, phone: null, email: null },
+        updatedAt: null
+    };
+}
+
+function normalizeListingType(value) {
+    if (/rent|sewa|lease|kontrak/i.test(value)) return 'rent';
+    if (/sale|sell|jual|beli|buy/i.test(value)) return 'sale';
+    return null;
+}
+
+const splitList = value => String(value).split(/[,;]/).map(v => v.trim()).filter(Boolean);
+
+// Most recent first, without duplicates (case-insensitive), capped
+function pushRecent(list, values, max) {
+    const lowered = values.map(v => v.toLowerCase());
+    return [...values, ...list.filter(v => !lowered.includes(v.toLowerCase()))].slice(0, max);
+}
+
+/**
+ * Apply one validated tool call to the profile. Returns the names of the fields that changed.
+ */
+function applyToolCall(profile, name, args) {
+    const changed = new Set();
+    const set = (field, value) => {
+        if (value === undefined || value === null || value === '' || profile[field] === value) return;
+        profile[field] = value;
+        changed.add(field);
+    };
+    const addAreas = value => {
+        if (!value) return;
+        profile.areas = pushRecent(profile.areas, splitList(value), MAX_AREAS);
+        changed.add('areas');
+    };
+    const addMustHaves = value => {
+        if (!value) return;
+        profile.mustHaves = pushRecent(profile.mustHaves, splitList(value), MAX_MUST_HAVES);
+        changed.add('mustHaves');
+    };
+
+    if (SEARCH_TOOLS.includes(name)) {
+        addAreas(args.location);
+        set('budgetMin', args.min_price);
+        set('budgetMax', args.max_price);
+        set('propertyCategory', args.property_category);
+        set('listingType', args.type && normalizeListingType(args.type));
+        set('bedrooms', args.min_bedrooms);
+        addMustHaves(args.keyword);
+    }
+
+    if (name === 'update_visitor_profile') {
+        set('budgetMin', args.budget_min);
+        set('budgetMax', args.budget_max);
+        addAreas(args.areas);
+        set('propertyCategory', args.property_category);
+        set('listingType', args.listing_type && normalizeListingType(args.listing_type));
+        set('bedrooms', args.bedrooms);
+        addMustHaves(args.must_haves);
+        set('timeline', args.timeline);
+    }
+
+    if (CONTACT_TOOLS.includes(name)) {
+        const contact = { ...profile.contact };
+        if (args.visitor_name) contact.name = args.visitor_name;
+        if (args.visitor_phone) contact.phone = args.visitor_phone;
+        if (args.visitor_email) contact.email = args.visitor_email;
+        if (JSON.stringify(contact) !== JSON.stringify(profile.contact)) {
+            profile.contact = contact;
+            changed.add('contact');
+        }
+    }
+
+    if (changed.size > 0) {
+        profile.updatedAt = new Date().toISOString();
+    }
+    return [...changed];
+}
+
+function formatBudget(profile) {
+    const { budgetMin, budgetMax } = profile;
+    if (budgetMin && budgetMax) return `${formatRupiah(budgetMin)} - ${formatRupiah(budgetMax)}`;
+    if (budgetMax) return `up to ${formatRupiah(budgetMax)}`;
+    if (budgetMin) return `from ${formatRupiah(budgetMin)}`;
+    return null;
+}
+
+/**
+ * Search preferences as [{ label, value }] for emails and the admin dashboard (contact excluded,
+ * callers show it on its own).
+ */
+function describeProfile(profile) {
+    if (!profile) return [];
+    return [
+        { label: 'Looking to', value: profile.listingType && (profile.listingType === 'rent' ? 'Rent' : 'Buy') },
+        { label: 'Property type', value: profile.propertyCategory },
+        { label: 'Areas', value: profile.areas.join(', ') },
+        { label: 'Budget', value: formatBudget(profile) },
+        { label: 'Bedrooms', value: profile.bedrooms && `${profile.bedrooms}+` },
+        { label: 'Must-haves', value: profile.mustHaves.join(', ') },
+        { label: 'Timeline', value: profile.timeline }
+    ].filter(item => item.value);
+}
+
+// Compact prompt line, or '' while nothing is known yet
+function renderProfileContext(profile) {
+    if (!profile) return '';
+    const parts = describeProfile(profile).map(({ label, value }) => `${label.toLowerCase()}: ${value}`);
+    const { name, phone, email } = profile.contact;
+    if (name || phone || email) {
+        parts.push(`contact: ${[name, phone, email].filter(Boolean).join(' / ')}${name && phone && email ? ' (complete - do NOT ask again)' : ''}`);
+    }
+    return parts.length > 0 ? `[VISITOR PROFILE: ${parts.join('; ')}]` : '';
+}
+
+module.exports = { createVisitorProfile, applyToolCall, describeProfile, renderProfileContext };
@@ -1,11 +1,25 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const fs = require('fs');
+const path = require('path');
 const zlib = require('zlib');
 const { promisify } = require('util');
 const gunzip = promisify(zlib.gunzip);
 const { Storage } = require('@google-cloud/storage');
 const { Firestore } = require('@google-cloud/firestore');
+const { LISTING_SCHEMA_VERSION, normalizeListings } = require('./listings/schema');
+const { hashText, snapshotListing, diffListings, changeRecord, listingChangesCollection } = require('./listings/changes');
+const { applyHistory } = require('./listings/history');
+const { resolveAdapter, extractDetail } = require('./adapters');
+const { PLACEHOLDER_IMAGE, cleanText } = require('./adapters/common');
+
+// Detail page fields only structured data (JSON-LD, meta tags) and specification tables give;
+// copied when found
+const STRUCTURED_FIELDS = ['address', 'geo', 'bedrooms', 'bathrooms', 'landSize', 'buildingSize', 'images', 'listedAt',
+    'maidRooms', 'carports', 'garages', 'floors', 'electricity', 'facing', 'facilities', 'furnished', 'certificate', 'category'];
+const MAX_REPORTED_SPEC_KEYS = 10;
+// Bump when what the state keeps per page changes; older state then gets a full detail scrape
+const SCRAPE_STATE_VERSION = 1;
 
 const BASE_URL = process.env.SCRAPE_BASE_URL || 'https://cernanlantang.raywhite.co.id';
 const OUTPUT_FILE = 'properties.json';
@@ -23,6 +37,10 @@ function getTenantGcsPath() {
 
 const GCS_PATH = getTenantGcsPath();
 
+// Scrape state (page validators, extracted fields, listing snapshots) lives next to properties.json
+const getStateFile = tenantId => (tenantId === 'default' ? 'scrape_state.json' : `scrape_state_${tenantId}.json`);
+const getStateGcsPath = gcsPath => path.posix.join(path.posix.dirname(gcsPath), 'scrape_state.json');
+
 async function fetchSitemap(url) {
     try {
         console.log(`Fetching sitemap from ${url}...`);
@@ -34,19 +52,105 @@ async function fetchSitemap(url) {
         }
         
         const $ = cheerio.load(xmlData, { xmlMode: true });
-        const urls = [];
+        const entries = [];
         $('loc').each((i, el) => {
-            urls.push($(el).text());
+            // <lastmod> tells incremental runs which pages changed without fetching them
+            entries.push({ url: $(el).text().trim(), lastmod: $(el).siblings('lastmod').first().text().trim() || null });
         });
-        console.log(`Found ${urls.length} URLs in sitemap.`);
-        return urls;
+        console.log(`Found ${entries.length} URLs in sitemap.`);
+        return entries;
     } catch (error) {
         console.error('Error fetching sitemap:', error.message);
         return [];
     }
 }
 
-async function scrapeTenant(tenantId, baseUrl, sitemapUrl) {
+// State of the tenant's last scrape, or null (first run, or unreadable)
+async function loadScrapeState(tenantId, gcsPath) {
+    try {
+        if (GCS_BUCKET) {
+            const [contents] = await new Storage().bucket(GCS_BUCKET).file(getStateGcsPath(gcsPath)).download();
+            return JSON.parse(contents.toString('utf8'));
+        }
+        const file = getStateFile(tenantId);
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    } catch (e) {
+        console.warn(`[${tenantId}] No previous scrape state (${e.message}); fetching every detail page.`);
+        return null;
+    }
+}
+
+async function saveScrapeState(tenantId, gcsPath, state) {
+    const file = getStateFile(tenantId);
+    fs.writeFileSync(file, JSON.stringify(state));
+    if (GCS_BUCKET) {
+        try {
+            await new Storage().bucket(GCS_BUCKET).file(getStateGcsPath(gcsPath)).save(JSON.stringify(state), { contentType: 'application/json' });
+        } catch (e) {
+            console.error('Failed to upload scrape state to GCS:', e.message);
+        }
+    }
+}
+
+// Hash of what a detail page shows: structured data, meta tags and body text (scripts and styles,
+// where session tokens and cache busters live, left out)
+function pageHash($) {
+    const structured = $('script[type="application/ld+json"]').map((i, el) => $(el).html()).get().join('\n');
+    const meta = $('meta[property], meta[name]').map((i, el) => `${$(el).attr('property') || $(el).attr('name')}=${$(el).attr('content')}`).get().join('\n');
+    const body = cleanText($('body').clone().find('script, style, noscript').remove().end().text());
+    return hashText(`${structured}\n${meta}\n${body}`);
+}
+
+/**
+ * Detail fields of a listing page, reusing what the last run extracted when the page hasn't
+ * changed: same sitemap lastmod (not fetched at all), 304 to a conditional request (ETag /
+ * Last-Modified), or the same content hash. Returns the page state to keep for the next run
+ * ({ lastmod, etag, lastModified, hash, fields, sources, unparsed }) with its `outcome`:
+ * 'lastmod' | 'not_modified' | 'unchanged' | 'fetched'.
+ */
+async function readDetailPage(adapter, url, cached, lastmod) {
+    if (cached && lastmod && cached.lastmod === lastmod) return { ...cached, outcome: 'lastmod' };
+
+    const headers = {};
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+    const response = await axios.get(url, { headers, validateStatus: status => (status >= 200 && status < 300) || status === 304 });
+    const validators = {
+        lastmod: lastmod || null,
+        etag: response.headers.etag || cached?.etag || null,
+        lastModified: response.headers['last-modified'] || cached?.lastModified || null
+    };
+    if (response.status === 304 && cached) return { ...cached, ...validators, outcome: 'not_modified' };
+
+    const $ = cheerio.load(response.data);
+    const hash = pageHash($);
+    if (cached && cached.hash === hash) return { ...cached, ...validators, outcome: 'unchanged' };
+
+    const { fields, sources, specs } = extractDetail(adapter, $, url);
+    return { ...validators, hash, fields, sources, unparsed: specs.unparsed, outcome: 'fetched' };
+}
+
+// Site adapter for a tenant: detected from its home page unless the tenant record pins a template
+// (adapterConfig from the tenant_scraper_adapters collection, see adapters/config.js)
+async function chooseAdapter(targetUrl, adapterConfig) {
+    let $ = cheerio.load('');
+    try {
+        const response = await axios.get(targetUrl);
+        $ = cheerio.load(response.data);
+    } catch (error) {
+        console.error(`Error fetching ${targetUrl} for adapter detection:`, error.message);
+    }
+    return resolveAdapter(adapterConfig, $, targetUrl);
+}
+
+/**
+ * Scrape a tenant's website into properties.json (and GCS / Firestore when configured).
+ * Incremental unless `full`: detail pages unchanged since the last run are not re-read (see
+ * readDetailPage), the run is diffed against the last one into listing_changes, and each
+ * listing's history (listings/history.js) is carried over and updated.
+ * Returns { itemsScraped, summary, changes (counts), pages }.
+ */
+async function scrapeTenant(tenantId, baseUrl, sitemapUrl, adapterConfig = null, { full = process.env.SCRAPE_FULL === 'true' } = {}) {
     const targetUrl = baseUrl || BASE_URL;
     const targetTenantId = tenantId || TENANT_ID;
     const targetGcsPath = (MULTI_TENANT_MODE && targetTenantId !== 'default') 
@@ -54,20 +158,30 @@ async function scrapeTenant(tenantId, baseUrl, sitemapUrl) {
         : (process.env.GCS_PATH || OUTPUT_FILE);
 
     console.log(`Starting scrape for tenant: ${targetTenantId} at ${targetUrl}`);
-    
+
+    const { adapter, detection } = await chooseAdapter(targetUrl, adapterConfig);
+    console.log(`[${targetTenantId}] Site adapter: ${adapter.label}${detection ? ` (detected; ${detection.scores.map(s => `${s.name} ${s.score}`).join(', ')})` : ''}`);
+
+    // Pages extracted by the last run are only reused with the same adapter, config and schema
+    const previousState = await loadScrapeState(targetTenantId, targetGcsPath);
+    const adapterKey = hashText(JSON.stringify({ adapter: adapter.name, config: adapterConfig, schema: LISTING_SCHEMA_VERSION }));
+    const reusePages = !full && previousState?.version === SCRAPE_STATE_VERSION && previousState.adapterKey === adapterKey;
+    const cachedPages = reusePages ? previousState.pages || {} : {};
+    console.log(`[${targetTenantId}] ${reusePages ? `Incremental scrape (${Object.keys(cachedPages).length} pages from the last run)` : 'Full scrape'}`);
+
     let properties = [];
+    const sitemapLastmod = new Map();
     
     if (sitemapUrl) {
         // Strategy A: Use Sitemap
-        const urls = await fetchSitemap(sitemapUrl);
-        const propertyUrls = urls.filter(u => u.includes('/properti/') || u.includes('/buy/') || u.includes('/rent/'));
+        const entries = await fetchSitemap(sitemapUrl);
+        entries.forEach(entry => sitemapLastmod.set(entry.url, entry.lastmod));
+        const propertyUrls = entries.map(entry => entry.url).filter(u => adapter.isListingUrl(u));
         console.log(`Filtered to ${propertyUrls.length} property URLs.`);
         
         properties = propertyUrls.map(url => {
-            const urlParts = url.split('/').filter(p => p);
-            const id = urlParts[urlParts.length - 1];
             return {
-                id,
+                id: adapter.listingId(url),
                 url,
                 title: '', // To be filled in detail scrape
                 location: '',
@@ -84,7 +198,7 @@ async function scrapeTenant(tenantId, baseUrl, sitemapUrl) {
 
         // Step 1: Get all listing URLs
         for (let page = 1; page <= maxPages; page++) {
-            const url = `${targetUrl}/?page=${page}`;
+            const url = adapter.listPageUrl(targetUrl, page);
             console.log(`Fetching list page ${page}...`);
 
             try {
@@ -92,46 +206,18 @@ async function scrapeTenant(tenantId, baseUrl, sitemapUrl) {
                 const $ = cheerio.load(response.data);
                 let pageProps = 0;
 
-                $('a[href*="/properti/"], a[href*="/buy/"], a[href*="/rent/"]').each((i, element) => {
-                    const href = $(element).attr('href');
-                    const fullUrl = href.startsWith('http') ? href : `${targetUrl}${href}`;
-
-                    if (properties.some(p => p.url === fullUrl)) return;
-
-                    const text = $(element).text().trim();
-                    const lines = text.split('\n').map(l => l.trim()).filter(l => l);
-
-                    let imageUrl = $(element).find('img').attr('src');
-                    if (!imageUrl) {
-                        const style = $(element).find('[style*="background-image"]').attr('style');
-                        if (style) {
-                            const match = style.match(/url\(['"]?(.*?)['"]?\)/);
-                            if (match) imageUrl = match[1];
-                        }
-                    }
-
-                    if (lines.length > 3) {
-                        const title = lines[0];
-                        const location = lines[1];
-                        const priceLine = lines.find(l => l.includes('Rp.'));
-                        
-                        // Extract ID from URL (last segment)
-                        const urlParts = href.split('/').filter(p => p);
-                        const id = urlParts[urlParts.length - 1];
-
-                        properties.push({
-                            id: id,
-                            title: title,
-                            location: location,
-                            price: priceLine || 'Contact for price',
-                            url: fullUrl,
-                            imageUrl: imageUrl || 'https://via.placeholder.com/150',
-                            type: (title.toLowerCase().includes('sewa') || href.includes('/rent/')) ? 'Rent' : 'Sale',
-                            description: '', // To be filled
-                            poi: '' // To be filled
-                        });
-                        pageProps++;
-                    }
+                adapter.extractCards($, url).forEach(card => {
+                    if (!card.id || !card.title || properties.some(p => p.url === card.url)) return;
+
+                    properties.push({
+                        ...card,
+                        provenance: Object.fromEntries(Object.keys(card).filter(field => card[field]).map(field => [field, `${adapter.name}:list`])),
+                        price: card.price || 'Contact for price',
+                        imageUrl: card.imageUrl || PLACEHOLDER_IMAGE,
+                        description: '', // To be filled
+                        poi: '' // To be filled
+                    });
+                    pageProps++;
                 });
 
                 if (pageProps === 0) {
@@ -147,6 +233,11 @@ async function scrapeTenant(tenantId, baseUrl, sitemapUrl) {
 
     console.log(`Found ${properties.length} properties. Starting detail scrape...`);
 
+    // Specification keys no listing field was found for, with how many pages had them
+    const unparsedSpecKeys = new Map();
+    const pages = { fetched: 0, lastmod: 0, not_modified: 0, unchanged: 0, failed: 0 };
+    const pageState = {};
+
     // Step 2: Visit each property to get details
     // We'll do this in chunks to be polite
     const chunkSize = 5;
@@ -155,88 +246,52 @@ async function scrapeTenant(tenantId, baseUrl, sitemapUrl) {
         await Promise.all(chunk.map(async (prop) => {
             try {
                 // console.log(`Fetching details for ${prop.id}...`);
-                const response = await axios.get(prop.url);
-                const $ = cheerio.load(response.data);
+                let page;
+                try {
+                    page = await readDetailPage(adapter, prop.url, cachedPages[prop.url], sitemapLastmod.get(prop.url));
+                } catch (error) {
+                    // Keep what the last run read rather than dropping the details
+                    if (!cachedPages[prop.url]) throw error;
+                    console.error(`Failed to fetch details for ${prop.id}, using the last run's: ${error.message}`);
+                    page = { ...cachedPages[prop.url], outcome: 'failed' };
+                }
+                // Fill what the list page (or sitemap) didn't give, per the site adapter
+                const { fields, sources, unparsed } = page;
+                const provenance = prop.provenance || {};
+                const fill = (field, value) => {
+                    prop[field] = value;
+                    if (sources[field]) provenance[field] = sources[field];
+                };
 
-                // --- ENHANCED EXTRACTION (For Sitemap Support) ---
                 if (!prop.title) {
-                    prop.title = $('h1').first().text().trim() || 
-                                 $('meta[property="og:title"]').attr('content') || 
-                                 $('title').text().trim();
+                    fill('title', fields.title || '');
                 }
 
-                if (!prop.price || prop.price === 'Contact for price') {
-                    // Try common price selectors
-                    const priceText = $('.price').text() || 
-                                      $('.listing-price').text() || 
-                                      $('div:contains("Rp")').filter((i, el) => $(el).text().includes('Rp')).first().text();
-                    
-                    if (priceText) {
-                        const match = priceText.match(/Rp\.?\s*[\d,.]+/i);
-                        if (match) prop.price = match[0];
-                    }
+                if ((!prop.price || prop.price === 'Contact for price') && fields.price) {
+                    fill('price', fields.price);
+                    if (fields.priceCurrency) fill('priceCurrency', fields.priceCurrency);
                 }
 
                 if (!prop.location) {
-                    prop.location = $('.location').text().trim() || 
-                                    $('.address').text().trim() || 
-                                    $('meta[name="geo.placename"]').attr('content') || '';
+                    fill('location', fields.location || '');
                 }
 
                 if (!prop.imageUrl) {
-                    prop.imageUrl = $('meta[property="og:image"]').attr('content') || 
-                                    $('.property-image img').attr('src') || 
-                                    'https://via.placeholder.com/150';
+                    fill('imageUrl', fields.imageUrl || PLACEHOLDER_IMAGE);
                 }
 
                 if (!prop.type) {
-                    const titleLower = prop.title.toLowerCase();
-                    if (titleLower.includes('sewa') || titleLower.includes('rent') || prop.url.includes('/rent/')) {
-                        prop.type = 'Rent';
-                    } else {
-                        prop.type = 'Sale';
-                    }
-                }
-                // -------------------------------------------------
-
-                // Extract description
-                // Based on previous chunk view, description is in the main text body.
-                // We'll look for a container that looks like the description.
-                // Often it's a div with class 'detail-desc' or similar, or just paragraphs.
-                // Let's grab all paragraphs in the main content area if possible.
-                // Or just the raw text of the main container.
-
-                // From the chunk dump: "Disewakan rumah mewah dan luas..."
-                // It seems to be just text nodes or p tags.
-                // Let's try to find the element containing "Disewakan" or "Dijual" that is long.
-
-                let description = '';
-                // Strategy: Get all text from the main content div. 
-                // Since we don't know the class, we'll guess or just grab generic paragraphs.
-                // A safe bet is usually identifying the container by some known text like "Spesifikasi Properti"
-                // and taking the text *before* it.
-
-                const bodyText = $('body').text();
-                // This is too messy.
-
-                // Let's try to find the specific container. 
-                // In many templates, it's .property-description or #description.
-                // Let's try a few common selectors.
-                const descSelectors = ['.property-detail', '.description', '#description', '.content', '.entry-content'];
-                for (const sel of descSelectors) {
-                    if ($(sel).length) {
-                        description = $(sel).text().trim();
-                        break;
-                    }
+                    fill('type', fields.type || 'Sale');
                 }
 
-                // Fallback: Use the meta description or OG description if body fail
-                if (!description || description.length < 50) {
-                    description = $('meta[property="og:description"]').attr('content') || '';
-                }
+                STRUCTURED_FIELDS.forEach(field => {
+                    if (fields[field] != null && prop[field] == null) fill(field, fields[field]);
+                });
+                if (fields.description) provenance.description = sources.description;
+                prop.provenance = provenance;
+                unparsed.forEach(({ key }) => unparsedSpecKeys.set(key, (unparsedSpecKeys.get(key) || 0) + 1));
 
-                // Clean up description
-                description = description.replace(/\s+/g, ' ').trim();
+                const description = fields.description || '';
 
                 // Extract POI
                 // Look for keywords like "Dekat", "Minutes to", "Access"
@@ -249,7 +304,12 @@ async function scrapeTenant(tenantId, baseUrl, sitemapUrl) {
                 prop.description = description;
                 prop.poi = poi;
 
+                // Counted and cached once the page is applied, so a failure above counts only as failed
+                const { outcome, ...state } = page;
+                pages[outcome]++;
+                pageState[prop.url] = state;
             } catch (e) {
+                pages.failed++;
                 console.error(`Failed to fetch details for ${prop.id}: ${e.message}`);
             }
         }));
@@ -259,6 +319,54 @@ async function scrapeTenant(tenantId, baseUrl, sitemapUrl) {
         process.stdout.write(`\rScraped ${Math.min(i + chunkSize, properties.length)}/${properties.length} details...`);
     }
 
+    if (unparsedSpecKeys.size > 0) {
+        const top = [...unparsedSpecKeys].sort((a, b) => b[1] - a[1]).slice(0, MAX_REPORTED_SPEC_KEYS);
+        console.warn(`\n[${targetTenantId}] Unparsed specification keys: ${top.map(([key, count]) => `${key} (${count})`).join(', ')}`);
+    }
+
+    // Map to the canonical listing schema (parses prices and sizes, drops unusable records)
+    const { listings, report } = normalizeListings(properties, { tenantId: targetTenantId, source: 'scraper' });
+    properties = listings;
+    console.log(`\n[${targetTenantId}] Normalized listings: ${report.valid} valid, ${report.partial} partial, ${report.rejected} rejected`);
+    report.issues.filter(issue => issue.status === 'rejected').forEach(issue => {
+        console.warn(`  Rejected #${issue.index} (${issue.id || 'no id'}): ${issue.problems.join(', ')}`);
+    });
+
+    console.log(`[${targetTenantId}] Detail pages: ${pages.fetched} fetched, ${pages.lastmod} unchanged per sitemap, ${pages.not_modified} not modified, ${pages.unchanged} same content, ${pages.failed} failed`);
+
+    // A run that found nothing is a site outage, not every listing sold: keep the last run's
+    // listings (properties.json and the bucket copy), state and history as they are
+    if (properties.length === 0 && previousState?.listings?.length) {
+        console.warn(`[${targetTenantId}] No listings found; last run kept`);
+        return { itemsScraped: 0, summary: 'no listings found; last run kept', changes: null, pages };
+    }
+
+    // First / last seen, prices and statuses per listing (listings/history.js), kept in the scrape state
+    const runAt = new Date().toISOString();
+    const tracked = applyHistory(properties, previousState?.histories, runAt);
+    properties = tracked.listings;
+
+    const snapshots = properties.map(snapshotListing);
+    const record = changeRecord(diffListings(previousState?.listings || null, snapshots), { tenantId: targetTenantId, runAt, pages });
+    const result = { itemsScraped: properties.length, summary: record.summary, changes: record.counts, pages };
+    console.log(`[${targetTenantId}] Changes: ${record.summary}`);
+
+    await saveScrapeState(targetTenantId, targetGcsPath, {
+        version: SCRAPE_STATE_VERSION,
+        tenantId: targetTenantId,
+        adapterKey,
+        updatedAt: runAt,
+        pages: pageState,
+        listings: snapshots,
+        histories: tracked.histories
+    });
+    try {
+        const firestore = new Firestore({ projectId: process.env.GOOGLE_CLOUD_PROJECT_ID });
+        await firestore.collection(listingChangesCollection(targetTenantId)).doc(runAt).set(record);
+    } catch (e) {
+        console.error(`Failed to save listing changes for ${targetTenantId}:`, e.message);
+    }
+
     console.log('\nScrape complete.');
     fs.writeFileSync(OUTPUT_FILE, JSON.stringify(properties, null, 2));
     console.log(`Saved enriched data to ${OUTPUT_FILE}`);
@@ -301,11 +409,24 @@ async function scrapeTenant(tenantId, baseUrl, sitemapUrl) {
             }
     }
     
-    return properties.length;
+    return result;
+}
+
+// Adapter config from the tenant record, when the job runs for one tenant
+async function loadAdapterConfig(tenantId) {
+    if (!MULTI_TENANT_MODE || tenantId === 'default') return null;
+    try {
+        const firestore = new Firestore({ projectId: process.env.GOOGLE_CLOUD_PROJECT_ID });
+        const doc = await firestore.collection('tenant_scraper_adapters').doc(tenantId).get();
+        return doc.exists ? doc.data() : null;
+    } catch (e) {
+        console.error(`Failed to load adapter config for ${tenantId}:`, e.message);
+        return null;
+    }
 }
 
 if (require.main === module) {
-    scrapeTenant(TENANT_ID, BASE_URL);
+    loadAdapterConfig(TENANT_ID).then(config => scrapeTenant(TENANT_ID, BASE_URL, null, config));
 }
 
 module.exports = { scrapeTenant };
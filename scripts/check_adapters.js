@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+const { testAdapter } = require('../adapters');
+
+// Runs the saved pages in fixtures/adapters.json through the site adapters and reports mismatches
+const { cases } = require(path.join(__dirname, '..', 'fixtures', 'adapters.json'));
+
+function mismatches(actual, expected, prefix) {
+    return Object.entries(expected).flatMap(([key, value]) => {
+        const name = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object') {
+            return actual && typeof actual[key] === 'object' ? mismatches(actual[key], value, name) : [`${name} missing`];
+        }
+        const got = actual ? actual[key] : undefined;
+        return (got ?? '') === (value ?? '') ? [] : [`${name} = ${JSON.stringify(got)}, expected ${JSON.stringify(value)}`];
+    });
+}
+
+let failures = 0;
+for (const { file, url, config, expected } of cases) {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'pages', file), 'utf8');
+    const result = testAdapter(html, { url, config });
+    const wrong = mismatches({ ...result, fields: result.detail.fields, sources: result.detail.sources, unparsed: result.detail.specs.unparsed }, expected);
+    if (wrong.length > 0) {
+        failures++;
+        console.error(`✗ ${file}${config ? ' (configured)' : ''}: ${wrong.join('; ')}`);
+    }
+}
+
+console.log(`${cases.length - failures}/${cases.length} saved pages extracted as expected`);
+process.exit(failures > 0 ? 1 : 0);
@@ -0,0 +1,25 @@
+const path = require('path');
+const { normalizeListings } = require('../listings/schema');
+const { snapshotListing, diffListings, countChanges, summarizeChanges } = require('../listings/changes');
+
+// Diffs the runs in fixtures/changes.json the way the scraper does and reports mismatches
+const { cases } = require(path.join(__dirname, '..', 'fixtures', 'changes.json'));
+
+const snapshots = raw => normalizeListings(raw, { source: 'local' }).listings.map(snapshotListing);
+
+let failures = 0;
+for (const { name, previous, current, expected } of cases) {
+    const diff = diffListings(previous && snapshots(previous), snapshots(current));
+    const counts = countChanges(diff);
+    const summary = summarizeChanges(diff);
+    const wrong = Object.keys(expected.counts).filter(kind => counts[kind] !== expected.counts[kind])
+        .map(kind => `${kind} = ${counts[kind]}, expected ${expected.counts[kind]}`);
+    if (summary !== expected.summary) wrong.push(`summary "${summary}", expected "${expected.summary}"`);
+    if (wrong.length > 0) {
+        failures++;
+        console.error(`✗ ${name}: ${wrong.join('; ')}`);
+    }
+}
+
+console.log(`${cases.length - failures}/${cases.length} runs diffed as expected`);
+process.exit(failures > 0 ? 1 : 0);
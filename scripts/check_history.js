@@ -0,0 +1,38 @@
+const path = require('path');
+const { normalizeListings } = require('../listings/schema');
+const { applyHistory, marketSummary } = require('../listings/history');
+
+// Replays the scrape runs in fixtures/history.json through the listing history and reports mismatches
+const { cases } = require(path.join(__dirname, '..', 'fixtures', 'history.json'));
+
+let failures = 0;
+for (const { name, runs, now, expected } of cases) {
+    let histories = {};
+    for (const { at, listings } of runs) {
+        ({ histories } = applyHistory(normalizeListings(listings, { source: 'local' }).listings, histories, at));
+    }
+
+    const wrong = [];
+    for (const [id, want] of Object.entries(expected)) {
+        const history = histories[id];
+        const summary = history ? marketSummary({ history }, Date.parse(now)) : null;
+        const actual = {
+            statuses: history?.statuses.map(point => point.status),
+            prices: history?.prices.map(point => point.priceValue),
+            change: summary?.priceChange?.change ?? null,
+            note: summary?.note
+        };
+        for (const field of Object.keys(want)) {
+            if (JSON.stringify(actual[field]) !== JSON.stringify(want[field])) {
+                wrong.push(`${id} ${field} = ${JSON.stringify(actual[field])}, expected ${JSON.stringify(want[field])}`);
+            }
+        }
+    }
+    if (wrong.length > 0) {
+        failures++;
+        console.error(`✗ ${name}: ${wrong.join('; ')}`);
+    }
+}
+
+console.log(`${cases.length - failures}/${cases.length} listing histories as expected`);
+process.exit(failures > 0 ? 1 : 0);
@@ -0,0 +1,18 @@
+const path = require('path');
+const { parsePrice } = require('../listings/price');
+
+// Runs the price strings in fixtures/prices.json through the price parser and reports mismatches
+const { cases } = require(path.join(__dirname, '..', 'fixtures', 'prices.json'));
+
+let failures = 0;
+for (const { price, type, expected } of cases) {
+    const actual = parsePrice(price, type);
+    const wrong = Object.keys(expected).filter(field => actual[field] !== expected[field]);
+    if (wrong.length > 0) {
+        failures++;
+        console.error(`✗ "${price}" (${type}): ${wrong.map(field => `${field} = ${actual[field]}, expected ${expected[field]}`).join('; ')}`);
+    }
+}
+
+console.log(`${cases.length - failures}/${cases.length} price strings parsed as expected`);
+process.exit(failures > 0 ? 1 : 0);
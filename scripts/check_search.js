@@ -0,0 +1,21 @@
+const path = require('path');
+const { normalizeListings } = require('../listings/schema');
+const { createPropertyIndex } = require('../search/property-index');
+
+// Runs the queries in fixtures/search.json against an index of its listings and reports mismatches
+const { listings: raw, cases } = require(path.join(__dirname, '..', 'fixtures', 'search.json'));
+
+const index = createPropertyIndex();
+index.sync(normalizeListings(raw, { source: 'local' }).listings);
+
+let failures = 0;
+for (const { query, expected } of cases) {
+    const actual = index.search(query).map(listing => listing.id);
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        failures++;
+        console.error(`✗ ${JSON.stringify(query)}: ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+    }
+}
+
+console.log(`${cases.length - failures}/${cases.length} searches matched as expected`);
+process.exit(failures > 0 ? 1 : 0);
@@ -1,6 +1,8 @@
 const fs = require('fs');
 const { Firestore } = require('@google-cloud/firestore');
 require('dotenv').config();
+const { normalizeListings } = require('../listings/schema');
+const { recordObservation } = require('../listings/history');
 
 const PROJECT_ID = process.env.GOOGLE_CLOUD_PROJECT_ID;
 const COLLECTION = process.env.PROPERTIES_FIRESTORE_COLLECTION || 'properties';
@@ -13,16 +15,21 @@ async function main() {
         process.exit(1);
     }
 
-    const data = JSON.parse(fs.readFileSync('properties.json', 'utf8'));
+    const { listings: data, report } = normalizeListings(JSON.parse(fs.readFileSync('properties.json', 'utf8')), { source: 'import' });
+    console.log(`Normalized ${report.total} records: ${report.valid} valid, ${report.partial} partial, ${report.rejected} rejected`);
     console.log(`Migrating ${data.length} properties to Firestore collection: ${COLLECTION}`);
 
+    const importedAt = new Date().toISOString();
     const batchSize = 500;
     for (let i = 0; i < data.length; i += batchSize) {
         const batch = firestore.batch();
         const chunk = data.slice(i, i + batchSize);
-        chunk.forEach((p) => {
-            const docRef = firestore.collection(COLLECTION).doc(String(p.id));
-            batch.set(docRef, p, { merge: true });
+        const docRefs = chunk.map(p => firestore.collection(COLLECTION).doc(String(p.id)));
+        // Carry each listing's history (first seen, prices, statuses) over from the document it replaces
+        const existing = await firestore.getAll(...docRefs);
+        chunk.forEach((p, j) => {
+            const history = recordObservation((existing[j].exists && existing[j].get('history')) || p.history, p, importedAt);
+            batch.set(docRefs[j], { ...p, history }, { merge: true });
         });
         await batch.commit();
         console.log(`Committed ${Math.min(i + batchSize, data.length)} / ${data.length}`);
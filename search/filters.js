@@ -0,0 +1,82 @@
+const { isWithinBudget, comparablePrice } = require('../listings/price');
+const { isAvailable } = require('../listings/schema');
+
+// Structured filters and sort orders on the numeric fields of canonical listings; an unknown value
+// never satisfies a minimum (a listing without landSize is not "at least 200 m²")
+
+const SORT_OPTIONS = ['relevance', 'price_asc', 'price_desc', 'size', 'newest', 'price_per_sqm'];
+
+// Filters of a search_properties / search_office_database call
+function filtersFromArgs(args) {
+    const isRent = !!args.type && args.type.toLowerCase() === 'rent';
+    return {
+        type: args.type || null,
+        minPrice: args.min_price || null,
+        maxPrice: args.max_price || null,
+        // A budget is a purchase budget unless the visitor is renting
+        budgetPeriod: args.price_period || (isRent ? 'year' : 'one_off'),
+        minBedrooms: args.min_bedrooms || null,
+        minBathrooms: args.min_bathrooms || null,
+        minLandSize: args.min_land_size || null,
+        minBuildingSize: args.min_building_size || null,
+        furnished: args.furnished || null
+    };
+}
+
+const atLeast = (value, minimum) => !minimum || (value != null && value >= minimum);
+
+function matchesFilters(listing, filters) {
+    return isAvailable(listing) &&
+        (!filters.type || (listing.type || '').toLowerCase() === filters.type.toLowerCase()) &&
+        isWithinBudget(listing, filters) &&
+        atLeast(listing.bedrooms, filters.minBedrooms) &&
+        atLeast(listing.bathrooms, filters.minBathrooms) &&
+        atLeast(listing.landSize, filters.minLandSize) &&
+        atLeast(listing.buildingSize, filters.minBuildingSize) &&
+        (!filters.furnished || listing.furnished === filters.furnished);
+}
+
+// Area a listing is sold by: land for land listings, otherwise the building (or land if unknown)
+function listingArea(listing) {
+    return listing.category === 'tanah' ? listing.landSize : (listing.buildingSize || listing.landSize);
+}
+
+function pricePerSqm(listing) {
+    const price = comparablePrice(listing);
+    const area = listingArea(listing);
+    return price != null && area ? Math.round(price / area) : null;
+}
+
+const SORT_KEYS = {
+    price_asc: listing => comparablePrice(listing),
+    price_desc: listing => comparablePrice(listing),
+    size: listing => listingArea(listing),
+    // Published date, else when the listing was first seen (listings/history.js)
+    newest: listing => {
+        const listed = listing.listedAt || listing.history?.firstSeenAt;
+        return listed ? Date.parse(listed) : null;
+    },
+    price_per_sqm: listing => pricePerSqm(listing)
+};
+const DESCENDING = ['price_desc', 'size', 'newest'];
+
+/**
+ * Sorted copy of `listings`. Listings without the sort value go last; ties (and 'relevance')
+ * keep the incoming order, which is the search index ranking.
+ */
+function sortListings(listings, sortBy) {
+    const key = SORT_KEYS[sortBy];
+    if (!key) return listings;
+    const direction = DESCENDING.includes(sortBy) ? -1 : 1;
+    return listings
+        .map((listing, position) => ({ listing, position, value: key(listing) }))
+        .sort((a, b) => {
+            if (a.value == null || b.value == null) {
+                return (a.value == null) - (b.value == null) || a.position - b.position;
+            }
+            return direction * (a.value - b.value) || a.position - b.position;
+        })
+        .map(({ listing }) => listing);
+}
+
+module.exports = { SORT_OPTIONS, filtersFromArgs, matchesFilters, sortListings, listingArea, pricePerSqm };
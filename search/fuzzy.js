@@ -0,0 +1,136 @@
+// Typo-tolerant terms: correct() maps an unknown word to the closest known term (spelling key, then
+// edit distance among terms sharing a trigram), split() undoes words typed together ("pondokindah")
+
+const MIN_FUZZY_LENGTH = 4;  // Shorter words are too ambiguous to correct
+const MIN_SPLIT_LENGTH = 3;  // Shortest part of a split word
+const MAX_CANDIDATES = 50;   // Candidates (most shared trigrams first) checked by edit distance
+
+// Words up to 7 letters allow one edit, longer words two
+const maxDistance = word => (word.length >= 8 ? 2 : 1);
+
+const SPELLING_RULES = [[/tj/g, 'c'], [/dj/g, 'j'], [/oe/g, 'u'], [/sj/g, 'sy'], [/nj/g, 'ny'], [/ph/g, 'f'], [/(.)\1+/g, '$1']];
+
+function spellingKey(word) {
+    return SPELLING_RULES.reduce((key, [pattern, replacement]) => key.replace(pattern, replacement), word);
+}
+
+function trigrams(word) {
+    const padded = `^${word}$`;
+    const grams = new Set();
+    for (let i = 0; i + 3 <= padded.length; i++) grams.add(padded.slice(i, i + 3));
+    return grams;
+}
+
+// Optimal string alignment distance, or max + 1 once it is known to exceed `max`
+function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previous2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous2 = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Vocabulary of known terms. `baseTerms` are always known; `add()`/`remove()` count the
+ * documents using a term so the vocabulary follows the index, and the more used term wins ties.
+ */
+function createVocabulary(baseTerms = []) {
+    const counts = new Map();  // term -> documents using it (base terms count once)
+    const byGram = new Map();  // trigram -> Set(term)
+    const byKey = new Map();   // spelling key -> Set(term)
+
+    function add(term) {
+        const count = counts.get(term) || 0;
+        counts.set(term, count + 1);
+        if (count > 0) return;
+        for (const gram of trigrams(term)) {
+            if (!byGram.has(gram)) byGram.set(gram, new Set());
+            byGram.get(gram).add(term);
+        }
+        const key = spellingKey(term);
+        if (!byKey.has(key)) byKey.set(key, new Set());
+        byKey.get(key).add(term);
+    }
+
+    function remove(term) {
+        const count = counts.get(term);
+        if (!count) return;
+        if (count > 1) {
+            counts.set(term, count - 1);
+            return;
+        }
+        counts.delete(term);
+        for (const gram of trigrams(term)) {
+            const terms = byGram.get(gram);
+            terms.delete(term);
+            if (terms.size === 0) byGram.delete(gram);
+        }
+        const key = spellingKey(term);
+        byKey.get(key).delete(term);
+        if (byKey.get(key).size === 0) byKey.delete(key);
+    }
+
+    const has = term => counts.has(term);
+    const mostUsed = terms => terms.reduce((best, term) => (counts.get(term) > counts.get(best) ? term : best));
+
+    // Closest known term for an unknown word, or null
+    function correct(word) {
+        if (has(word)) return null;
+        const sameSpelling = [...(byKey.get(spellingKey(word)) || [])];
+        if (sameSpelling.length > 0) return mostUsed(sameSpelling);
+        if (word.length < MIN_FUZZY_LENGTH) return null;
+
+        const shared = new Map();
+        for (const gram of trigrams(word)) {
+            for (const term of byGram.get(gram) || []) shared.set(term, (shared.get(term) || 0) + 1);
+        }
+        const max = maxDistance(word);
+        const candidates = [...shared.entries()]
+            .filter(([term]) => term.length >= MIN_FUZZY_LENGTH && Math.abs(term.length - word.length) <= max)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_CANDIDATES);
+
+        let best = null;
+        let bestDistance = max + 1;
+        for (const [term] of candidates) {
+            const distance = editDistance(word, term, max);
+            if (distance < bestDistance || (distance === bestDistance && best && counts.get(term) > counts.get(best))) {
+                best = term;
+                bestDistance = distance;
+            }
+        }
+        return bestDistance <= max ? best : null;
+    }
+
+    // Two known terms a word was typed as, or null
+    function split(word) {
+        let best = null;
+        for (let i = MIN_SPLIT_LENGTH; i <= word.length - MIN_SPLIT_LENGTH; i++) {
+            const parts = [word.slice(0, i), word.slice(i)];
+            if (!parts.every(has)) continue;
+            const shortest = Math.min(...parts.map(part => part.length));
+            if (!best || shortest > best.shortest) best = { parts, shortest };
+        }
+        return best ? best.parts : null;
+    }
+
+    for (const term of baseTerms) add(term);
+
+    return { add, remove, has, correct, split, get size() { return counts.size; } };
+}
+
+module.exports = { createVocabulary, editDistance, spellingKey };
@@ -0,0 +1,168 @@
+const { normalizeText } = require('./text');
+const AREA_DATA = require('./areas.json');
+
+// Offline location gazetteer (areas.json: province > city > district > village, estates, aliases,
+// neighbours). Text matches names and aliases as whole phrases, longest first; an ambiguous name
+// resolves to the area consistent with the other places in the text, then the first listed.
+
+const AREA_LEVELS = ['province', 'city', 'district', 'village', 'estate'];
+
+const slug = name => normalizeText(name).replace(/ /g, '-');
+
+function buildGazetteer(data) {
+    const areas = new Map();   // id -> { id, name, level, parent, aliases, children, neighbours }
+    const phrases = new Map(); // first word -> [{ words, areas }], longest phrase first
+
+    function addPhrase(alias, area) {
+        const words = normalizeText(alias).split(' ').filter(Boolean);
+        if (words.length === 0) return;
+        const entries = phrases.get(words[0]) || [];
+        let entry = entries.find(e => e.words.join(' ') === words.join(' '));
+        if (!entry) {
+            entry = { words, areas: [] };
+            entries.push(entry);
+            entries.sort((a, b) => b.words.length - a.words.length);
+            phrases.set(words[0], entries);
+        }
+        if (!entry.areas.includes(area)) entry.areas.push(area);
+    }
+
+    function addArea(node, parent, depth) {
+        const spec = typeof node === 'string' ? { name: node } : node;
+        const id = spec.id || slug(spec.name);
+        if (areas.has(id)) throw new Error(`Duplicate gazetteer area id "${id}"`);
+
+        const aliases = [spec.name, ...(spec.aliases || [])];
+        if (/^kabupaten /i.test(spec.name)) aliases.push(spec.name.replace(/^kabupaten/i, 'kab'));
+        const area = {
+            id,
+            name: spec.name,
+            level: spec.level || AREA_LEVELS[depth],
+            parent: parent ? parent.id : null,
+            aliases,
+            children: [],
+            neighbours: []
+        };
+        areas.set(id, area);
+        if (parent) parent.children.push(id);
+        aliases.forEach(alias => addPhrase(alias, area));
+        (spec.children || []).forEach(child => addArea(child, area, depth + 1));
+    }
+
+    data.areas.forEach(node => addArea(node, null, 0));
+
+    for (const [id, neighbourIds] of Object.entries(data.neighbours || {})) {
+        for (const neighbourId of neighbourIds) {
+            const [a, b] = [areas.get(id), areas.get(neighbourId)];
+            if (!a || !b) throw new Error(`Unknown gazetteer area in neighbours: "${a ? neighbourId : id}"`);
+            if (!a.neighbours.includes(b.id)) a.neighbours.push(b.id);
+            if (!b.neighbours.includes(a.id)) b.neighbours.push(a.id);
+        }
+    }
+
+    return { areas, phrases };
+}
+
+const { areas, phrases } = buildGazetteer(AREA_DATA);
+
+// Words of every area name and alias (known words for typo correction)
+const AREA_WORDS = [...new Set([...areas.values()].flatMap(area => area.aliases.flatMap(alias => normalizeText(alias).split(' '))))];
+
+function getArea(id) {
+    return areas.get(id) || null;
+}
+
+// Ancestors of an area, nearest first
+function ancestorsOf(area) {
+    const chain = [];
+    for (let parent = getArea(area.parent); parent; parent = getArea(parent.parent)) {
+        chain.push(parent);
+    }
+    return chain;
+}
+
+const isAncestor = (ancestor, area) => ancestorsOf(area).includes(ancestor);
+const provinceOf = area => ancestorsOf(area).pop() || area;
+
+// Candidate areas for every place phrase in the text, in text order
+function findPhrases(text) {
+    const words = normalizeText(text).split(' ').filter(Boolean);
+    const found = [];
+    for (let i = 0; i < words.length;) {
+        const entry = (phrases.get(words[i]) || [])
+            .find(({ words: phrase }) => phrase.every((word, offset) => words[i + offset] === word));
+        if (entry) {
+            found.push(entry.areas);
+            i += entry.words.length;
+        } else {
+            i++;
+        }
+    }
+    return found;
+}
+
+/**
+ * Areas named in a text, one group per place phrase. A group has several areas only when the
+ * phrase is shared by areas of the same level and province ("kebayoran" = Kebayoran Baru and
+ * Kebayoran Lama, "bekasi" = Kota and Kabupaten Bekasi).
+ */
+function matchAreas(text) {
+    const found = findPhrases(text);
+    return found.map((candidates, i) => {
+        const others = found.filter((_, j) => j !== i).flat();
+        const support = area => others.filter(other => isAncestor(other, area) || isAncestor(area, other)).length;
+        const scored = candidates.map(area => ({ area, score: support(area) }));
+        const best = Math.max(...scored.map(({ score }) => score));
+        const [first, ...rest] = scored.filter(({ score }) => score === best).map(({ area }) => area);
+        return [first, ...rest.filter(area => area.level === first.level && provinceOf(area) === provinceOf(first))];
+    });
+}
+
+/**
+ * Areas a location query asks for, most specific only ("Kemang, Jakarta Selatan" -> Kemang).
+ * Listings are tagged with their whole hierarchy, so a city or district also matches every
+ * listing tagged with one of its child areas.
+ */
+function resolveLocation(text) {
+    const matched = [...new Set(matchAreas(text).flat())];
+    return matched.filter(area => !matched.some(other => isAncestor(area, other)));
+}
+
+/**
+ * Area hierarchy of a listing location: ids of the areas it names and all their ancestors,
+ * top level first. An ambiguous phrase is tagged with the areas' common ancestor only.
+ */
+function tagLocation(text) {
+    const tagged = [];
+    for (const group of matchAreas(text)) {
+        let area = group[0];
+        if (group.length > 1) {
+            const shared = ancestorsOf(area).filter(ancestor => group.every(other => isAncestor(ancestor, other)));
+            area = shared[0];
+        }
+        if (area) tagged.push(...ancestorsOf(area).reverse(), area);
+    }
+    const ids = [...new Set(tagged.map(area => area.id))];
+    return ids.sort((a, b) => ancestorsOf(getArea(a)).length - ancestorsOf(getArea(b)).length);
+}
+
+/**
+ * Areas next to the given ones, for broadening a search with no matches: the listed neighbours,
+ * or the sibling areas under the same parent when none are listed.
+ */
+function nearbyAreas(areaList) {
+    const nearby = new Map();
+    for (const area of areaList) {
+        const ids = area.neighbours.length > 0
+            ? area.neighbours
+            : (getArea(area.parent)?.children || []).filter(id => id !== area.id);
+        for (const id of ids) {
+            const neighbour = getArea(id);
+            const overlaps = areaList.some(other => other === neighbour || isAncestor(other, neighbour) || isAncestor(neighbour, other));
+            if (!overlaps) nearby.set(id, neighbour);
+        }
+    }
+    return [...nearby.values()];
+}
+
+module.exports = { AREA_LEVELS, AREA_WORDS, getArea, matchAreas, resolveLocation, tagLocation, nearbyAreas };
@@ -0,0 +1,235 @@
+const { normalizeText, tokenize } = require('./text');
+const { AREA_WORDS, resolveLocation } = require('./gazetteer');
+const { createVocabulary } = require('./fuzzy');
+
+// In-memory BM25 property index per tenant, with location, gazetteer area and category boosts.
+// sync() re-tokenizes only changed listings; correct() fixes typos in queries (./fuzzy.js).
+
+const FIELD_WEIGHTS = { location: 3, title: 2, poi: 1.5, description: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const LOCATION_PHRASE_BOOST = 4; // Whole location phrase appears in the listing's location
+const LOCATION_FIELD_BOOST = 2;  // Every location term appears in the listing's location
+const CATEGORY_BOOST = 2;        // Title or location names the requested category
+const AREA_BOOST = 3;            // Listing is tagged with a requested gazetteer area
+
+// Words in a listing's title/location that name its category (for the category boost)
+const CATEGORY_WORDS = { rumah: ['rumah'], apartemen: ['apartemen'], ruko: ['ruko'], tanah: ['tanah'], gedung: ['gedung', 'kantor'] };
+
+function propertyKey(property, position) {
+    return String(property.id ?? property.listingId ?? property.url ?? `#${position}`);
+}
+
+function textSignature(property) {
+    return [property.location, property.title, property.poi, property.description, (property.areas || []).join(' ')]
+        .map(v => v || '').join('\u0001');
+}
+
+function createPropertyIndex() {
+    const docs = new Map();     // key -> { property, order, signature, terms: Map(term -> weighted tf), length, location/head text }
+    const postings = new Map(); // term -> Set(key)
+    const areaPostings = new Map(); // gazetteer area id -> Set(key)
+    const vocabulary = createVocabulary(AREA_WORDS);
+    let totalLength = 0;
+    let nextOrder = 0;
+
+    function removeDoc(key) {
+        const doc = docs.get(key);
+        if (!doc) return false;
+        for (const term of doc.terms.keys()) {
+            const keys = postings.get(term);
+            keys.delete(key);
+            if (keys.size === 0) postings.delete(term);
+            vocabulary.remove(term);
+        }
+        for (const areaId of doc.areaIds) {
+            const keys = areaPostings.get(areaId);
+            keys.delete(key);
+            if (keys.size === 0) areaPostings.delete(areaId);
+        }
+        totalLength -= doc.length;
+        docs.delete(key);
+        return true;
+    }
+
+    function addDoc(key, property, order) {
+        const terms = new Map();
+        let length = 0;
+        for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+            for (const term of tokenize(property[field])) {
+                terms.set(term, (terms.get(term) || 0) + weight);
+                length += weight;
+            }
+        }
+        for (const term of terms.keys()) {
+            if (!postings.has(term)) postings.set(term, new Set());
+            postings.get(term).add(key);
+            vocabulary.add(term);
+        }
+        const areaIds = new Set(property.areas || []);
+        for (const areaId of areaIds) {
+            if (!areaPostings.has(areaId)) areaPostings.set(areaId, new Set());
+            areaPostings.get(areaId).add(key);
+        }
+
+        docs.set(key, {
+            property,
+            order,
+            signature: textSignature(property),
+            terms,
+            length,
+            areaIds,
+            locationText: normalizeText(property.location),
+            locationTerms: new Set(tokenize(property.location)),
+            headText: normalizeText(`${property.title || ''} ${property.location || ''}`)
+        });
+        totalLength += length;
+    }
+
+    // Add or replace one listing. Returns true if it had to be (re)tokenized.
+    function upsert(property, position = docs.size) {
+        const key = propertyKey(property, position);
+        const existing = docs.get(key);
+        if (existing && existing.signature === textSignature(property)) {
+            existing.property = property; // Non-text fields (price, images...) may still have changed
+            return false;
+        }
+        const order = existing ? existing.order : nextOrder++;
+        removeDoc(key);
+        addDoc(key, property, order);
+        return true;
+    }
+
+    // Make the index match `properties` exactly, touching only what changed
+    function sync(properties) {
+        const seen = new Set();
+        let changed = 0;
+        properties.forEach((property, position) => {
+            seen.add(propertyKey(property, position));
+            if (upsert(property, position)) changed++;
+        });
+        let removed = 0;
+        for (const key of [...docs.keys()]) {
+            if (!seen.has(key) && removeDoc(key)) removed++;
+        }
+        // Keep the listings' own order for ties
+        properties.forEach((property, position) => {
+            const doc = docs.get(propertyKey(property, position));
+            if (doc) doc.order = position;
+        });
+        return { changed, removed, size: docs.size };
+    }
+
+    function bm25(doc, terms) {
+        const avgLength = totalLength / docs.size || 1;
+        let score = 0;
+        for (const term of terms) {
+            const tf = doc.terms.get(term);
+            if (!tf) continue;
+            const df = postings.get(term).size;
+            const idf = Math.log(1 + (docs.size - df + 0.5) / (df + 0.5));
+            score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+        }
+        return score;
+    }
+
+    /**
+     * Ranked search. Keyword terms are all required. A location matches listings tagged with the
+     * gazetteer areas it names (children included) or containing all of its terms - only one of
+     * them with `broadLocation`. `areas` (gazetteer area ids) searches those areas instead of a
+     * location text. `category` filters on the listing's canonical category.
+     * Returns the matching listings, best first (ties keep listing order).
+     */
+    function search({ location, keyword, category, broadLocation = false, areas } = {}) {
+        const locationTerms = areas ? [] : [...new Set(tokenize(location))];
+        const keywordTerms = [...new Set(tokenize(keyword))];
+        const queryTerms = [...new Set([...locationTerms, ...keywordTerms])];
+        const areaIds = areas || (location ? resolveLocation(location).map(area => area.id) : []);
+        const categoryKey = category ? category.toLowerCase() : null;
+
+        const hasAll = (doc, terms) => terms.every(term => doc.terms.has(term));
+        const inArea = doc => areaIds.some(areaId => doc.areaIds.has(areaId));
+        const rarest = terms => terms
+            .map(term => postings.get(term) || new Set())
+            .reduce((smallest, keys) => (keys.size < smallest.size ? keys : smallest));
+
+        // Start from the smallest set that every match must come from instead of scanning every listing
+        const pools = [];
+        if (keywordTerms.length > 0) pools.push(rarest(keywordTerms));
+        if (locationTerms.length > 0 || areaIds.length > 0) {
+            const locationPool = new Set(areaIds.flatMap(areaId => [...(areaPostings.get(areaId) || [])]));
+            const textPool = locationTerms.length === 0 ? []
+                : broadLocation ? locationTerms.flatMap(term => [...(postings.get(term) || [])])
+                : rarest(locationTerms);
+            for (const key of textPool) locationPool.add(key);
+            pools.push(locationPool);
+        }
+        const pool = pools.length > 0
+            ? pools.reduce((smallest, keys) => (keys.size < smallest.size ? keys : smallest))
+            : docs.keys();
+
+        const candidates = [];
+        for (const key of pool) {
+            const doc = docs.get(key);
+            if (categoryKey && doc.property.category !== categoryKey) continue;
+            if (!hasAll(doc, keywordTerms)) continue;
+            if (locationTerms.length > 0 || areaIds.length > 0) {
+                const textMatch = locationTerms.length > 0 &&
+                    (broadLocation ? locationTerms.some(term => doc.terms.has(term)) : hasAll(doc, locationTerms));
+                if (!textMatch && !inArea(doc)) continue;
+            }
+            candidates.push(key);
+        }
+
+        const locationPhrase = locationTerms.length > 0 ? normalizeText(location) : '';
+        const scored = candidates.map(key => {
+            const doc = docs.get(key);
+            let score = bm25(doc, queryTerms);
+            if (locationPhrase && doc.locationText.includes(locationPhrase)) {
+                score += LOCATION_PHRASE_BOOST;
+            } else if (locationTerms.length > 0 && locationTerms.every(term => doc.locationTerms.has(term))) {
+                score += LOCATION_FIELD_BOOST;
+            }
+            if (inArea(doc)) {
+                score += AREA_BOOST;
+            }
+            if (categoryKey && (CATEGORY_WORDS[categoryKey] || []).some(word => doc.headText.includes(word))) {
+                score += CATEGORY_BOOST;
+            }
+            return { doc, score };
+        });
+
+        scored.sort((a, b) => b.score - a.score || a.doc.order - b.doc.order);
+        return scored.map(({ doc }) => doc.property);
+    }
+
+    /**
+     * Query text with unknown words corrected: words typed together are split ("pondokindah"),
+     * others replaced by the closest known term ("kemamg" -> kemang). Returns { text, corrections:
+     * [{ from, to }] }; `text` is the normalized, corrected text, or the original when nothing changed.
+     */
+    function correct(text) {
+        const corrections = [];
+        const words = normalizeText(text).split(' ').filter(Boolean).map(word => {
+            const known = vocabulary.has(word) || tokenize(word).every(term => vocabulary.has(term));
+            if (known || /\d/.test(word)) return word;
+            const parts = vocabulary.split(word);
+            const replacement = parts ? parts.join(' ') : vocabulary.correct(word);
+            if (!replacement) return word;
+            corrections.push({ from: word, to: replacement });
+            return replacement;
+        });
+        return { text: corrections.length > 0 ? words.join(' ') : text, corrections };
+    }
+
+    return {
+        sync,
+        upsert,
+        remove: key => removeDoc(String(key)),
+        search,
+        correct,
+        get size() { return docs.size; }
+    };
+}
+
+module.exports = { createPropertyIndex, propertyKey };
@@ -0,0 +1,112 @@
+const { comparablePrice } = require('../listings/price');
+const { isAvailable } = require('../listings/schema');
+const { listingArea } = require('./filters');
+const { getArea, nearbyAreas } = require('./gazetteer');
+
+// "Homes like this": available listings of the same sale / rent type, scored 0-1 on area, category,
+// price, size and features against one listing, with `reasons` the assistant can quote
+
+const WEIGHTS = { area: 0.35, category: 0.2, price: 0.25, size: 0.1, features: 0.1 };
+const MIN_SIMILARITY = 0.5;
+const MAX_SIMILAR_LISTINGS = 5; // Most recommendations per request
+const CLOSE_RATIO = 1.2; // Within 20% counts as "similar" in the reasons
+
+const FEATURE_PATTERNS = [
+    ['pool', /kolam renang|swimming pool|\bpool\b/],
+    ['garden', /\btaman\b|garden/],
+    ['carport', /carport|garasi|garage/],
+    ['secure cluster', /one gate|cluster|security 24|keamanan 24|satpam/],
+    ['view', /\bview\b|pemandangan/]
+];
+
+function listingFeatures(listing) {
+    const text = `${listing.title || ''} ${listing.description || ''} ${listing.poi || ''}`.toLowerCase();
+    const features = FEATURE_PATTERNS.filter(([, pattern]) => pattern.test(text)).map(([name]) => name);
+    if (listing.furnished) features.push(listing.furnished.replace('_', ' '));
+    return features;
+}
+
+// 1 for equal values, 0 at half or double (or unknown)
+function ratioScore(a, b) {
+    if (!a || !b) return 0;
+    return Math.max(0, 1 - Math.abs(Math.log(a / b)) / Math.log(2));
+}
+
+const isClose = (a, b) => !!a && !!b && Math.max(a / b, b / a) <= CLOSE_RATIO;
+
+/**
+ * Scorer for one target listing: candidate -> { score, reasons }, or null when the candidate
+ * can't be offered as an alternative (the target itself, unavailable, other transaction type).
+ */
+function createSimilarityScorer(target) {
+    const targetAreas = target.areas || [];
+    const targetArea = getArea(targetAreas[targetAreas.length - 1]);
+    const nearbyIds = new Set(targetArea ? nearbyAreas([targetArea]).map(area => area.id) : []);
+    const targetPrice = comparablePrice(target);
+    const targetSize = listingArea(target);
+    const targetFeatures = listingFeatures(target);
+
+    return candidate => {
+        if (String(candidate.id) === String(target.id) || !isAvailable(candidate) || candidate.listingType !== target.listingType) {
+            return null;
+        }
+        const reasons = [];
+
+        let area = 0;
+        const candidateAreas = candidate.areas || [];
+        if (targetArea && candidateAreas.includes(targetArea.id)) {
+            area = 1;
+            reasons.push(`same area (${targetArea.name})`);
+        } else if (candidateAreas.some(id => nearbyIds.has(id))) {
+            area = 0.7;
+            reasons.push('nearby area');
+        } else if (targetAreas.length > 0) {
+            area = 0.5 * targetAreas.filter(id => candidateAreas.includes(id)).length / targetAreas.length;
+        }
+
+        const category = candidate.category === target.category ? 1 : 0;
+        if (category) reasons.push(`same type (${target.category})`);
+
+        const candidatePrice = comparablePrice(candidate);
+        const price = ratioScore(candidatePrice, targetPrice);
+        if (isClose(candidatePrice, targetPrice)) reasons.push('similar price');
+
+        const candidateSize = listingArea(candidate);
+        const size = ratioScore(candidateSize, targetSize);
+        if (isClose(candidateSize, targetSize)) reasons.push('similar size');
+
+        const bedrooms = target.bedrooms != null && candidate.bedrooms != null
+            ? 1 - Math.min(Math.abs(target.bedrooms - candidate.bedrooms), 3) / 3
+            : 0;
+        if (bedrooms === 1) reasons.push(`${target.bedrooms} bedrooms`);
+        const candidateFeatures = listingFeatures(candidate);
+        const shared = targetFeatures.filter(feature => candidateFeatures.includes(feature));
+        const union = new Set([...targetFeatures, ...candidateFeatures]);
+        const featureOverlap = union.size > 0 ? shared.length / union.size : 0.5;
+        if (shared.length > 0) reasons.push(...shared);
+
+        const score = WEIGHTS.area * area +
+            WEIGHTS.category * category +
+            WEIGHTS.price * price +
+            WEIGHTS.size * size +
+            WEIGHTS.features * (bedrooms + featureOverlap) / 2;
+        return { score: Math.round(score * 100) / 100, reasons };
+    };
+}
+
+/**
+ * Listings most similar to `target`, best first: [{ listing, score, reasons }]. Listings whose
+ * id is in `excludeIds` (a Set of string ids) and matches below MIN_SIMILARITY are left out.
+ */
+function findSimilar(target, listings, { excludeIds = new Set(), limit = 3 } = {}) {
+    const score = createSimilarityScorer(target);
+    const matches = [];
+    for (const listing of listings) {
+        if (excludeIds.has(String(listing.id))) continue;
+        const result = score(listing);
+        if (result && result.score >= MIN_SIMILARITY) matches.push({ listing, ...result });
+    }
+    return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+module.exports = { MAX_SIMILAR_LISTINGS, createSimilarityScorer, findSimilar };
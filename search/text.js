@@ -0,0 +1,113 @@
+// Tokenizer shared by listings and queries: normalized, stopwords dropped, abbreviations expanded
+// (jaksel → jakarta selatan), English and variant words mapped to one term (south → selatan,
+// house → rumah) and light suffix stripping (rumahnya → rumah)
+
+const STOPWORDS = new Set([
+    // Indonesian
+    'di', 'ke', 'dari', 'dan', 'yang', 'dengan', 'untuk', 'atau', 'ini', 'itu', 'ada', 'pada', 'dalam',
+    'jalan', 'daerah', 'kawasan', 'wilayah', 'area', 'lokasi', 'sekitar', 'dekat', 'sangat', 'juga',
+    // English
+    'the', 'a', 'an', 'in', 'at', 'of', 'and', 'or', 'for', 'with', 'near', 'around', 'to', 'is'
+]);
+
+// Expanded before stopwords are removed, so "jl" disappears with "jalan"
+const ABBREVIATIONS = {
+    jl: ['jalan'],
+    jln: ['jalan'],
+    jaksel: ['jakarta', 'selatan'],
+    jakbar: ['jakarta', 'barat'],
+    jaktim: ['jakarta', 'timur'],
+    jakut: ['jakarta', 'utara'],
+    jakpus: ['jakarta', 'pusat'],
+    tangsel: ['tangerang', 'selatan'],
+    rmh: ['rumah'],
+    tnh: ['tanah'],
+    apt: ['apartemen'],
+    apart: ['apartemen']
+};
+
+// Property vocabulary, English and spelling variants -> Indonesian. An empty list drops the word
+// ("swimming pool" and "kolam renang" both become kolam renang).
+const SYNONYMS = {
+    house: ['rumah'],
+    home: ['rumah'],
+    apartment: ['apartemen'],
+    apartement: ['apartemen'],
+    apartmen: ['apartemen'],
+    appartment: ['apartemen'],
+    apartemant: ['apartemen'],
+    condo: ['apartemen'],
+    condominium: ['apartemen'],
+    shophouse: ['ruko'],
+    land: ['tanah'],
+    plot: ['tanah'],
+    kavling: ['tanah'],
+    kaveling: ['tanah'],
+    building: ['gedung'],
+    office: ['kantor'],
+    warehouse: ['gudang'],
+    factory: ['pabrik'],
+    vila: ['villa'],
+    pool: ['kolam', 'renang'],
+    swimming: [],
+    garden: ['taman'],
+    garage: ['garasi'],
+    corner: ['hook'],
+    beach: ['pantai'],
+    sea: ['laut'],
+    school: ['sekolah'],
+    campus: ['kampus'],
+    university: ['universitas'],
+    hospital: ['rumah', 'sakit'],
+    station: ['stasiun'],
+    toll: ['tol'],
+    airport: ['bandara'],
+    market: ['pasar'],
+    river: ['sungai'],
+    lake: ['danau'],
+    ricefield: ['sawah'],
+    cheap: ['murah'],
+    strategic: ['strategis'],
+    minimalist: ['minimalis'],
+    renovated: ['renovasi']
+};
+
+const COMPASS = {
+    south: 'selatan',
+    north: 'utara',
+    east: 'timur',
+    west: 'barat',
+    central: 'pusat'
+};
+
+function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function stem(token) {
+    if (token.length > 5 && token.endsWith('nya')) return token.slice(0, -3);
+    if (token.length > 4 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+}
+
+function tokenize(text) {
+    const tokens = [];
+    for (const raw of normalizeText(text).split(' ')) {
+        if (!raw) continue;
+        const base = ABBREVIATIONS[raw] || SYNONYMS[raw] ? raw : stem(raw);
+        const expansion = ABBREVIATIONS[base] || SYNONYMS[base];
+        for (const word of expansion || [base]) {
+            if (STOPWORDS.has(word)) continue;
+            // Expansions are stemmed like listing text ("minimalist" -> minimalis -> minimali)
+            tokens.push(COMPASS[word] || (expansion ? stem(word) : word));
+        }
+    }
+    return tokens;
+}
+
+module.exports = { normalizeText, tokenize };
@@ -0,0 +1,94 @@
+const { validateArgs } = require('./validation');
+
+// Tool registry: each tool is registered once as { name, description, parameters, handler, enabled?, minStage? }.
+// `parameters` is also the validation schema (./validation.js); getDeclarations / prepareCall take an
+// optional per-conversation gate(tool) that returns why a tool is not available yet, or null.
+
+// Schema keywords the validator understands but the model API does not
+const VALIDATION_ONLY_FORMATS = new Set(['date', 'time', 'phone', 'email']);
+
+function toDeclarationSchema(schema) {
+    const { format, ...rest } = schema;
+    const declared = format && !VALIDATION_ONLY_FORMATS.has(format) ? { ...rest, format } : rest;
+    if (declared.properties) {
+        declared.properties = Object.fromEntries(
+            Object.entries(declared.properties).map(([key, value]) => [key, toDeclarationSchema(value)])
+        );
+    }
+    return declared;
+}
+
+function createToolRegistry({ isDisabledForTenant = () => false } = {}) {
+    const tools = new Map();
+
+    function register(tool) {
+        if (!tool.name || typeof tool.handler !== 'function') {
+            throw new Error('A tool needs a name and a handler');
+        }
+        if (tools.has(tool.name)) {
+            throw new Error(`Tool "${tool.name}" is already registered`);
+        }
+        tools.set(tool.name, {
+            ...tool,
+            parameters: tool.parameters || { type: 'object', properties: {} },
+            declaration: {
+                name: tool.name,
+                description: tool.description,
+                parameters: toDeclarationSchema(tool.parameters || { type: 'object', properties: {} })
+            }
+        });
+    }
+
+    function isEnabled(name, tenantId) {
+        const tool = tools.get(name);
+        if (!tool) return false;
+        if (tool.enabled && !tool.enabled(tenantId)) return false;
+        return !isDisabledForTenant(name, tenantId);
+    }
+
+    // Function declarations offered to the model for this tenant (and conversation, when gated)
+    function getDeclarations(tenantId, gate = () => null) {
+        return [...tools.values()].filter(tool => isEnabled(tool.name, tenantId) && !gate(tool)).map(tool => tool.declaration);
+    }
+
+    // Look up and validate a call. Resolves to { tool, args } or { error } with a structured
+    // payload meant to go back to the model as the function response.
+    function prepareCall(name, args, tenantId, gate = () => null) {
+        const tool = tools.get(name);
+        if (!tool) {
+            return { error: { success: false, error: 'unknown_tool', message: `There is no tool named "${name}". Available tools: ${getDeclarations(tenantId, gate).map(d => d.name).join(', ')}` } };
+        }
+        if (!isEnabled(name, tenantId)) {
+            return { error: { success: false, error: 'tool_disabled', message: `The ${name} tool is not available for this website. Continue without it.` } };
+        }
+        const gateReason = gate(tool);
+        if (gateReason) {
+            return { error: { success: false, error: 'tool_not_available', message: gateReason } };
+        }
+
+        const { value, errors } = validateArgs(tool.parameters, args || {});
+        if (errors.length > 0) {
+            return {
+                tool,
+                error: {
+                    success: false,
+                    error: 'invalid_arguments',
+                    message: `The arguments for ${name} are invalid. Correct the fields below and call ${name} again; ask the visitor for any value you do not know instead of guessing.`,
+                    validationErrors: errors
+                }
+            };
+        }
+        return { tool, args: value };
+    }
+
+    return {
+        register,
+        get: name => tools.get(name),
+        names: () => [...tools.keys()],
+        isEnabled,
+        getDeclarations,
+        prepareCall
+    };
+}
+
+module.exports = { createToolRegistry };
@@ -0,0 +1,176 @@
+// Tool argument validation: coerces what the model sends ("3", "15/01/2030", "0812-3456-7890") to the
+// declared type when the intent is clear, and returns errors the model can act on otherwise
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function coerceNumber(value, integer) {
+    let number = value;
+    if (typeof value === 'string') {
+        let text = value.trim().replace(/\s/g, '');
+        if (/^\d{1,3}(\.\d{3})+$/.test(text)) {
+            text = text.replace(/\./g, ''); // Indonesian thousands separators: 1.500.000
+        } else if (/^\d{1,3}(,\d{3})+$/.test(text)) {
+            text = text.replace(/,/g, ''); // 1,500,000
+        } else {
+            text = text.replace(',', '.'); // Decimal comma: 5,5
+        }
+        number = text === '' ? NaN : Number(text);
+    }
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: 'must be a number' };
+    }
+    if (integer && !Number.isInteger(number)) {
+        return { error: 'must be a whole number' };
+    }
+    return { value: number };
+}
+
+function coerceDate(value) {
+    const text = String(value).trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    let year, month, day;
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) {
+        [, day, month, year] = match.map(Number); // Indonesian order: DD/MM/YYYY
+    } else {
+        const parsed = new Date(text);
+        if (isNaN(parsed.getTime())) {
+            return { error: 'must be a date in YYYY-MM-DD format' };
+        }
+        [year, month, day] = [parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate()];
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return { error: 'must be a valid calendar date in YYYY-MM-DD format' };
+    }
+    return { value: date.toISOString().split('T')[0] };
+}
+
+function coerceTime(value) {
+    const match = String(value).trim().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/i);
+    if (!match) {
+        return { error: 'must be a time in HH:MM format' };
+    }
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    const meridiem = match[3] && match[3].toLowerCase();
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) {
+        return { error: 'must be a time in HH:MM format' };
+    }
+    return { value: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}` };
+}
+
+function coercePhone(value) {
+    const text = String(value).trim().replace(/[\s\-().]/g, '');
+    if (!/^\+?\d{8,15}$/.test(text)) {
+        return { error: 'must be a phone number with 8-15 digits, e.g. 081234567890 or +6281234567890' };
+    }
+    return { value: text };
+}
+
+function coerceString(value, schema) {
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        value = String(value);
+    }
+    if (typeof value !== 'string') {
+        return { error: 'must be a string' };
+    }
+    const text = value.trim();
+    if (typeof schema.maxLength === 'number' && text.length > schema.maxLength) {
+        return { error: `must be at most ${schema.maxLength} characters` };
+    }
+
+    switch (schema.format) {
+        case 'date': return coerceDate(text);
+        case 'time': return coerceTime(text);
+        case 'phone': return coercePhone(text);
+        case 'email':
+            return EMAIL_PATTERN.test(text) ? { value: text } : { error: 'must be a valid email address' };
+        default:
+            break;
+    }
+
+    if (Array.isArray(schema.enum)) {
+        const option = schema.enum.find(o => o.toLowerCase() === text.toLowerCase());
+        return option ? { value: option } : { error: `must be one of: ${schema.enum.join(', ')}` };
+    }
+    return { value: text };
+}
+
+function coerceValue(value, schema) {
+    switch (schema.type) {
+        case 'number':
+        case 'integer': {
+            const result = coerceNumber(value, schema.type === 'integer');
+            if (result.error) return result;
+            if (typeof schema.minimum === 'number' && result.value < schema.minimum) {
+                return { error: `must be at least ${schema.minimum}` };
+            }
+            if (typeof schema.maximum === 'number' && result.value > schema.maximum) {
+                return { error: `must be at most ${schema.maximum}` };
+            }
+            return result;
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') return { value };
+            if (/^(true|yes|ya)$/i.test(String(value))) return { value: true };
+            if (/^(false|no|tidak)$/i.test(String(value))) return { value: false };
+            return { error: 'must be true or false' };
+        case 'array': {
+            if (!Array.isArray(value)) return { error: 'must be an array' };
+            if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+                return { error: `must have at least ${schema.minItems} items` };
+            }
+            if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+                return { error: `must have at most ${schema.maxItems} items` };
+            }
+            if (!schema.items) return { value };
+            const items = [];
+            for (const [i, item] of value.entries()) {
+                const result = coerceValue(item, schema.items);
+                if (result.error) return { error: `item ${i + 1} ${result.error}` };
+                items.push(result.value);
+            }
+            return { value: items };
+        }
+        default:
+            return coerceString(value, schema);
+    }
+}
+
+const isBlank = value => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Validate `args` against an object schema. Resolves to { value, errors }; `value` holds the
+// coerced arguments (unknown keys dropped), `errors` is [{ field, message, received }].
+function validateArgs(schema, args) {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const value = {};
+    const errors = [];
+
+    for (const field of required) {
+        if (isBlank(args?.[field])) {
+            errors.push({ field, message: 'is required' });
+        }
+    }
+
+    for (const [field, fieldSchema] of Object.entries(properties)) {
+        const received = args?.[field];
+        if (isBlank(received)) continue;
+
+        const result = coerceValue(received, fieldSchema);
+        if (result.error) {
+            errors.push({ field, message: result.error, received });
+        } else {
+            value[field] = result.value;
+        }
+    }
+
+    return { value, errors };
+}
+
+module.exports = { validateArgs };